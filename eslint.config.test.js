@@ -11,6 +11,7 @@ export default [
     },
     rules: {
       'no-truthy-collections/no-truthy-collections': 'error',
+      'no-truthy-collections/no-always-true-collection-comparisons': 'error',
     },
     languageOptions: {
       ecmaVersion: 2024,
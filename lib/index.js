@@ -8,16 +8,24 @@
  */
 
 import noTruthyCollections from './rules/no-truthy-collections.js';
+import noAlwaysTrueCollectionComparisons from './rules/no-always-true-collection-comparisons.js';
+import preferExplicitEmptinessCheck from './rules/prefer-explicit-emptiness-check.js';
 
-export default {
+const plugin = {
   rules: {
     'no-truthy-collections': noTruthyCollections,
+    'no-always-true-collection-comparisons': noAlwaysTrueCollectionComparisons,
+    'prefer-explicit-emptiness-check': preferExplicitEmptinessCheck,
   },
+};
+
+// Configs reference the plugin object itself, so they're attached afterwards
+Object.assign(plugin, {
   configs: {
     recommended: {
       name: 'no-truthy-collections/recommended',
       plugins: {
-        'no-truthy-collections': noTruthyCollections,
+        'no-truthy-collections': plugin,
       },
       rules: {
         'no-truthy-collections/no-truthy-collections': 'error',
@@ -26,7 +34,7 @@ export default {
     strict: {
       name: 'no-truthy-collections/strict',
       plugins: {
-        'no-truthy-collections': noTruthyCollections,
+        'no-truthy-collections': plugin,
       },
       rules: {
         'no-truthy-collections/no-truthy-collections': [
@@ -44,7 +52,7 @@ export default {
     typescript: {
       name: 'no-truthy-collections/typescript',
       plugins: {
-        'no-truthy-collections': noTruthyCollections,
+        'no-truthy-collections': plugin,
       },
       languageOptions: {
         parser: '@typescript-eslint/parser',
@@ -57,4 +65,6 @@ export default {
       },
     },
   },
-};
+});
+
+export default plugin;
@@ -0,0 +1,216 @@
+/**
+ * ESLint Rule: no-always-true-collection-comparisons
+ *
+ * Catches comparisons involving arrays and objects whose result never
+ * depends on what the collection holds: identity checks against a new
+ * literal, loose equality with a boolean and null checks on values that
+ * can't be null.
+ */
+
+import {
+  analyzeCollectionExpression,
+  analyzeVariable,
+  getSizeExpressionFor,
+  isEmptyCollectionExpression,
+  isMeasurable,
+} from '../utils/collections.js';
+import { PRECEDENCE, parenthesizeFor } from '../utils/precedence.js';
+
+const EQUALITY_OPERATORS = ['==', '!=', '===', '!=='];
+const FRESH_METHODS = ['literal', 'constructor'];
+const KIND_NAMES = {
+  array: 'array',
+  object: 'object',
+  sized: 'Set or Map',
+  weak: 'WeakSet or WeakMap',
+  unsized: 'iterator or FormData object',
+  'search-params': 'URLSearchParams object',
+  'arraylike-length': 'array-like object',
+};
+export default {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow collection comparisons whose result never depends on the contents',
+      category: 'Possible Errors',
+      recommended: false,
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [],
+    messages: {
+      freshCollectionComparison:
+        "'{{operator}}' compares object identity, and a new {{kind}} is never identical to another value, so this is always {{result}}.",
+      looseBooleanComparison:
+        "'{{operator}} {{value}}' converts the {{kind}} to a string or number, not a boolean, so it doesn't test for emptiness. Use '{{suggestion}}' instead.",
+      nullishComparison:
+        'This {{kind}} is never null or undefined, so this comparison is always {{result}}.',
+      useEmptinessCheck: "Check for emptiness with '{{suggestion}}'.",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.getSourceCode();
+
+    // `str.match(re) === null` is a real check, so nullable results such
+    // as match() don't count
+    function analyze(node) {
+      const analysis =
+        node.type === 'Identifier'
+          ? analyzeVariable(context, node)
+          : analyzeCollectionExpression(node);
+      return analysis && !analysis.nullable ? analysis : null;
+    }
+
+    function isFreshCollection(node) {
+      const analysis = analyzeCollectionExpression(node);
+      return analysis !== null && FRESH_METHODS.includes(analysis.method);
+    }
+
+    function isNullish(node) {
+      return (
+        (node.type === 'Literal' && node.value === null && !node.regex) ||
+        (node.type === 'Identifier' && node.name === 'undefined') ||
+        (node.type === 'UnaryExpression' && node.operator === 'void')
+      );
+    }
+
+    function isBooleanLiteral(node) {
+      return node.type === 'Literal' && typeof node.value === 'boolean';
+    }
+
+    // Weak, unsized and URLSearchParams collections have no portable size,
+    // so there is no check to build
+    function buildCheck(node, type, empty) {
+      if (!isMeasurable(type)) return null;
+      const size = getSizeExpressionFor(sourceCode, node, type);
+      return `${size} ${empty ? '=== 0' : '> 0'}`;
+    }
+
+    // Checks bind at least as tightly as the comparison they replace, but
+    // go through the same parenthesization as every other generated check
+    function replaceWithCheck(fixer, node, text, empty) {
+      const precedence = empty ? PRECEDENCE.EQUALITY : PRECEDENCE.RELATIONAL;
+      return fixer.replaceText(
+        node,
+        parenthesizeFor(sourceCode, node, text, precedence)
+      );
+    }
+
+    // The emptiness check only means the same thing when the other side is
+    // known to be the same kind of collection: `value === {}` is false for
+    // a number too, but `Object.keys(value).length === 0` is true. For
+    // anything else the check is only suggested.
+    function checkFreshComparison(node, fresh, other) {
+      const type = analyzeCollectionExpression(fresh).type;
+      const rewritable =
+        isMeasurable(type) &&
+        isEmptyCollectionExpression(fresh) &&
+        other.type !== 'Literal' &&
+        !isFreshCollection(other);
+      const empty = !node.operator.startsWith('!');
+      const suggestion = rewritable ? buildCheck(other, type, empty) : null;
+      const fix = fixer => replaceWithCheck(fixer, node, suggestion, empty);
+      const known = rewritable && analyze(other)?.type === type;
+      context.report({
+        node,
+        messageId: 'freshCollectionComparison',
+        data: {
+          operator: node.operator,
+          kind: KIND_NAMES[type],
+          result: empty ? 'false' : 'true',
+        },
+        fix: known ? fix : null,
+        suggest:
+          rewritable && !known
+            ? [{ messageId: 'useEmptinessCheck', data: { suggestion }, fix }]
+            : [],
+      });
+    }
+
+    function checkBooleanComparison(node, collection, literal, type) {
+      // `== true` and `!= false` ask "has items", the other two "is empty"
+      const empty = (literal.value === false) === (node.operator === '==');
+      const suggestion = buildCheck(collection, type, empty);
+      context.report({
+        node,
+        messageId: 'looseBooleanComparison',
+        data: {
+          operator: node.operator,
+          value: String(literal.value),
+          kind: KIND_NAMES[type],
+          suggestion,
+        },
+        fix: fixer => replaceWithCheck(fixer, node, suggestion, empty),
+      });
+    }
+
+    // Removing the check changes what the code means, so the emptiness
+    // check is only offered as a suggestion
+    function checkNullishComparison(node, collection, type) {
+      const empty = !node.operator.startsWith('!');
+      const suggestion = buildCheck(collection, type, empty);
+      context.report({
+        node,
+        messageId: 'nullishComparison',
+        data: {
+          kind: KIND_NAMES[type],
+          result: empty ? 'false' : 'true',
+        },
+        suggest: suggestion
+          ? [
+              {
+                messageId: 'useEmptinessCheck',
+                data: { suggestion },
+                fix: fixer => replaceWithCheck(fixer, node, suggestion, empty),
+              },
+            ]
+          : [],
+      });
+    }
+
+    return {
+      BinaryExpression(node) {
+        if (!EQUALITY_OPERATORS.includes(node.operator)) return;
+        const strict = node.operator.length === 3;
+
+        for (const [side, other] of [
+          [node.left, node.right],
+          [node.right, node.left],
+        ]) {
+          // `x == []` converts a primitive `x` to a string first, so loose
+          // equality is only decided by identity when both sides are objects
+          if (
+            isFreshCollection(side) &&
+            !isNullish(other) &&
+            (strict || analyze(other))
+          ) {
+            checkFreshComparison(node, side, other);
+            return;
+          }
+        }
+
+        for (const [side, other] of [
+          [node.left, node.right],
+          [node.right, node.left],
+        ]) {
+          const analysis = analyze(side);
+          if (!analysis) continue;
+          if (
+            !strict &&
+            isBooleanLiteral(other) &&
+            isMeasurable(analysis.type)
+          ) {
+            checkBooleanComparison(node, side, other, analysis.type);
+            return;
+          }
+          if (isNullish(other)) {
+            checkNullishComparison(node, side, analysis.type);
+            return;
+          }
+        }
+      },
+    };
+  },
+};
@@ -5,6 +5,395 @@
  * Enhanced to catch real-world collection variable bugs.
  */
 
+import path from 'node:path';
+import {
+  analyzeClassProperty,
+  analyzeCollectionExpression,
+  analyzeVariable,
+  findVariable,
+  getSizeExpressionFor,
+  isEmptyCollectionExpression,
+  getSizeProperty,
+  isMeasurable,
+} from '../utils/collections.js';
+import {
+  PRECEDENCE,
+  getOperandText,
+  getPrecedence,
+  getTextPrecedence,
+  parenthesizeFor,
+} from '../utils/precedence.js';
+import { createGuardTracker } from '../utils/guards.js';
+import { createJSDocAnalyzer } from '../utils/jsdoc.js';
+import { analyzeImport } from '../utils/modules.js';
+import { createTypeAnalyzer } from '../utils/types.js';
+
+const HEURISTIC_METHODS = [
+  'variable-name',
+  'variable-pattern',
+  'member-property',
+];
+const ARRAYLIKE_TYPES = [
+  'sized',
+  'weak',
+  'unsized',
+  'search-params',
+  'arraylike-length',
+];
+const TRUTHY_MESSAGE_IDS = {
+  array: 'arrayTruthy',
+  object: 'objectTruthy',
+  sized: 'sizedCollectionTruthy',
+  'arraylike-length': 'arrayLikeTruthy',
+};
+// Kinds without a portable emptiness check
+const UNMEASURABLE_MESSAGE_IDS = {
+  weak: 'weakCollectionTruthy',
+  unsized: 'unsizedCollectionTruthy',
+  'search-params': 'searchParamsTruthy',
+};
+const DETECTION_METHODS = [
+  'type-checker',
+  'jsdoc',
+  'literal',
+  'constructor',
+  'method',
+  'static',
+  'dataflow',
+  ...HEURISTIC_METHODS,
+];
+
+// Built-in thresholds, used when `minConfidence` doesn't set one
+const DEFAULT_MIN_CONFIDENCE = 60;
+const DEFAULT_METHOD_MIN_CONFIDENCE = new Map([
+  ['variable-pattern', 65],
+  ['member-property', 70],
+]);
+
+const FUNCTION_TYPES = [
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+];
+
+// Array methods that coerce their callback's return value to a boolean
+const PREDICATE_METHODS = [
+  'filter',
+  'some',
+  'every',
+  'find',
+  'findIndex',
+  'findLast',
+  'findLastIndex',
+];
+
+// Functions whose return value is expected to be a boolean, and calls that
+// assert the truthiness of their first argument. Both are configurable.
+const DEFAULT_BOOLEAN_FUNCTION_NAMES = ['/^is[A-Z]/', '/^has[A-Z]/'];
+const DEFAULT_ASSERT_FUNCTIONS = [
+  'assert',
+  'assert.ok',
+  'console.assert',
+  'invariant',
+];
+// Matcher name -> whether it passes for a truthy value
+const TRUTHINESS_MATCHERS = { toBeTruthy: true, toBeFalsy: false };
+
+const AUTOFIX_POLICIES = ['always', 'high-confidence', 'never'];
+
+const confidenceSchema = { type: 'integer', minimum: 0, maximum: 100 };
+
+// Object keyed by detection method plus `default`. patternProperties rather
+// than properties: Ajv would read a `constructor` property off
+// Object.prototype.
+function perMethodSchema(valueSchema) {
+  return {
+    type: 'object',
+    patternProperties: {
+      [`^(default|${DETECTION_METHODS.join('|')})$`]: valueSchema,
+    },
+    additionalProperties: false,
+  };
+}
+
+// Per-method entry of an option object, ignoring inherited properties
+function getMethodOption(option, method) {
+  if (!option || !Object.prototype.hasOwnProperty.call(option, method)) {
+    return option?.default;
+  }
+  return option[method];
+}
+
+// Built-in naming vocabulary; each list can be extended, replaced or
+// trimmed through the rule options of the same name.
+const DEFAULT_ARRAY_NAMES = [
+  'activities',
+  'connections',
+  'results',
+  'items',
+  'elements',
+  'entries',
+  'records',
+  'users',
+  'products',
+  'files',
+  'images',
+  'categories',
+  'widgets',
+  'posts',
+  'comments',
+  'notifications',
+  'tags',
+  'roles',
+  'errors',
+  'warnings',
+  'failures',
+  'duplicates',
+  'inactiveUsers',
+  'userIds',
+  'validatedWidgets',
+  'recentPosts',
+  'connectionTypes',
+  'migrationFiles',
+  'pending',
+  'appliedMigrations',
+  'allMigrations',
+  'migrations',
+  'batch',
+  'collections',
+  'statements',
+];
+const DEFAULT_OBJECT_NAMES = [
+  'options',
+  'config',
+  'settings',
+  'props',
+  'attributes',
+  'metadata',
+  'preferences',
+  'privacy',
+  'dashboard',
+  'filters',
+  'updates',
+  'userData',
+  'userContent',
+  'analytics',
+  'timeRange',
+  'dateRange',
+  'activityGroups',
+  'connectionsByType',
+  'updatedPreferences',
+];
+const DEFAULT_ARRAY_PROPERTIES = [
+  'roles',
+  'tags',
+  'items',
+  'results',
+  'activities',
+  'connections',
+  'posts',
+  'comments',
+  'notifications',
+  'errors',
+  'warnings',
+  'failures',
+  'duplicates',
+];
+const DEFAULT_OBJECT_PROPERTIES = [
+  'options',
+  'config',
+  'settings',
+  'preferences',
+  'filters',
+  'metadata',
+  'dateRange',
+  'timeRange',
+];
+// React class components keep their data one level down, in `this.state`
+// and `this.props`
+const COMPONENT_DATA_PROPERTIES = ['state', 'props'];
+const DEFAULT_ARRAY_PATTERNS = [
+  /.*[Ll]ist$/,
+  /.*[Aa]rray$/,
+  /.*[Ii]tems$/,
+  /.*[Ee]ntries$/,
+  /.*[Rr]ecords$/,
+  /.*[Rr]esults$/,
+  /.*[Cc]ollection$/,
+];
+const DEFAULT_OBJECT_PATTERNS = [
+  /.*[Oo]ptions$/,
+  /.*[Cc]onfig$/,
+  /.*[Ss]ettings$/,
+  /.*[Oo]bject$/,
+  /.*[Dd]ata$/,
+  /.*[Ii]nfo$/,
+  /.*[Mm]ap$/,
+];
+
+// Entries written as `/source/flags` are regular expressions, anything
+// else is an exact name.
+const REGEX_STRING = /^\/(.+)\/([a-z]*)$/;
+// `test()` on a global or sticky regex resumes from the last match
+const STATEFUL_FLAGS = /[gy]/;
+
+function toNameEntry(entry) {
+  if (entry instanceof RegExp) return entry;
+  const match = REGEX_STRING.exec(entry);
+  if (!match) return entry;
+  if (STATEFUL_FLAGS.test(match[2])) {
+    throw new Error(
+      `Invalid no-truthy-collections configuration: '${entry}' uses the g or y flag, which makes matches depend on earlier names. Remove the flag.`
+    );
+  }
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (error) {
+    // The schema only sees strings, so a bad pattern surfaces here
+    throw new Error(
+      `Invalid no-truthy-collections configuration: '${entry}' is not a valid regular expression (${error.message}). Write it as /source/flags, or without slashes to match the exact name.`
+    );
+  }
+}
+
+function matchesAny(entries, name) {
+  return entries.some(entry =>
+    typeof entry === 'string' ? entry === name : entry.test(name)
+  );
+}
+
+function createNameMatcher(defaults, option = {}) {
+  const entries = (option.replace || defaults)
+    .concat(option.extend || [])
+    .map(toNameEntry);
+  const excluded = (option.exclude || []).map(toNameEntry);
+  return name => matchesAny(entries, name) && !matchesAny(excluded, name);
+}
+
+// Files that are almost never hand-written: dependencies, build output and
+// minified bundles. `ignorePatterns` replaces this list.
+const DEFAULT_IGNORE_PATTERNS = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/build/**',
+  '*.min.js',
+  '*.bundle.js',
+];
+
+// Heuristics for generated code, used when `skipGenerated` is on
+const MINIFIED_LINE_LENGTH = 1000;
+const SOURCE_MAP_TRAILER = /[#@]\s*sourceMappingURL=\S+\s*(?:\*\/)?\s*$/;
+const GENERATED_MARKER = /@generated\b/;
+
+// Minimal glob support: `**` spans directories, `*` and `?` don't. Globs
+// without a slash match the file's basename, like .gitignore entries.
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchesGlob(glob, filePath) {
+  const target = glob.includes('/') ? filePath : path.posix.basename(filePath);
+  return globToRegExp(glob).test(target);
+}
+
+const nameListSchema = {
+  type: 'object',
+  properties: {
+    extend: { type: 'array', items: { type: 'string' } },
+    replace: { type: 'array', items: { type: 'string' } },
+    exclude: { type: 'array', items: { type: 'string' } },
+  },
+  additionalProperties: false,
+};
+
+// A replacement for the built-in emptiness check, e.g. `!isEmpty({{expr}})`,
+// optionally with the import that provides the helper it calls
+const FIX_TEMPLATE = /\{\{expr\}\}/;
+const fixTemplateSchema = {
+  oneOf: [
+    { type: 'string', pattern: FIX_TEMPLATE.source },
+    {
+      type: 'object',
+      properties: {
+        template: { type: 'string', pattern: FIX_TEMPLATE.source },
+        import: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            from: { type: 'string', minLength: 1 },
+            default: { type: 'boolean', default: false },
+          },
+          required: ['name', 'from'],
+          additionalProperties: false,
+        },
+      },
+      required: ['template'],
+      additionalProperties: false,
+    },
+  ],
+};
+
+// `!isEmpty(x)` negates to `isEmpty(x)`, `f(x).length > 0` to
+// `f(x).length === 0` and anything else to `!(...)`
+function negateTemplate(template, precedence) {
+  if (template.startsWith('!')) {
+    const inner = template.slice(1);
+    const innerPrecedence = getTextPrecedence(inner);
+    if (innerPrecedence >= PRECEDENCE.UNARY) {
+      return { template: inner, precedence: innerPrecedence };
+    }
+  }
+  if (precedence === PRECEDENCE.RELATIONAL && template.endsWith(' > 0')) {
+    return {
+      template: `${template.slice(0, -' > 0'.length)} === 0`,
+      precedence: PRECEDENCE.EQUALITY,
+    };
+  }
+  return {
+    template:
+      precedence >= PRECEDENCE.UNARY ? `!${template}` : `!(${template})`,
+    precedence: PRECEDENCE.UNARY,
+  };
+}
+
+// `{{expr}}` as a call argument only needs parentheses for sequences;
+// anywhere else it's treated like the object of a member access
+function getPlaceholderPrecedence(template) {
+  const isArgument = /[(,]\s*\{\{expr\}\}\s*[),]/.test(template);
+  return isArgument ? PRECEDENCE.ASSIGNMENT : PRECEDENCE.CALL;
+}
+
+function toFixStyle(option) {
+  if (!option) return null;
+  const style = typeof option === 'string' ? { template: option } : option;
+  const precedence = getTextPrecedence(style.template);
+  return {
+    import: style.import,
+    operandPrecedence: getPlaceholderPrecedence(style.template),
+    positive: { template: style.template, precedence },
+    negative: negateTemplate(style.template, precedence),
+  };
+}
+
 export default {
   meta: {
     type: 'problem',
@@ -25,6 +414,45 @@ export default {
           checkArrayLike: { type: 'boolean', default: true },
           allowExplicitBoolean: { type: 'boolean', default: true },
           strictNaming: { type: 'boolean', default: false },
+          nullableCollections: {
+            enum: ['ignore', 'report'],
+            default: 'ignore',
+          },
+          jsonParse: {
+            enum: ['ignore', 'array', 'object'],
+            default: 'ignore',
+          },
+          memberDepth: { type: 'integer', minimum: 1, default: 1 },
+          followImports: { type: 'boolean', default: false },
+          arrayNames: nameListSchema,
+          objectNames: nameListSchema,
+          arrayProperties: nameListSchema,
+          objectProperties: nameListSchema,
+          arrayNamePatterns: nameListSchema,
+          objectNamePatterns: nameListSchema,
+          ignorePatterns: { type: 'array', items: { type: 'string' } },
+          skipGenerated: { type: 'boolean', default: true },
+          booleanFunctionNames: nameListSchema,
+          assertFunctions: nameListSchema,
+          minConfidence: {
+            oneOf: [confidenceSchema, perMethodSchema(confidenceSchema)],
+          },
+          autofix: {
+            oneOf: [
+              { enum: AUTOFIX_POLICIES },
+              perMethodSchema({ enum: ['fix', 'suggest'] }),
+            ],
+          },
+          fixStyle: {
+            type: 'object',
+            properties: {
+              array: fixTemplateSchema,
+              object: fixTemplateSchema,
+              sized: fixTemplateSchema,
+              'arraylike-length': fixTemplateSchema,
+            },
+            additionalProperties: false,
+          },
         },
         additionalProperties: false,
       },
@@ -36,10 +464,46 @@ export default {
         "Objects are always truthy in JavaScript, even when empty. Use '{{suggestion}}' to check for properties.",
       arrayLikeTruthy:
         "Array-like objects are always truthy. Use '{{suggestion}}' to check for items.",
+      sizedCollectionTruthy:
+        "Sets and Maps are always truthy, even when empty. Use '{{suggestion}}' to check for entries.",
+      weakCollectionTruthy:
+        'WeakSets and WeakMaps are always truthy, and have no size to check for emptiness. Track the entries separately if you need to know.',
+      unsizedCollectionTruthy:
+        'Iterators and FormData objects are always truthy, and have no size to check for emptiness. Collect the entries with Array.from() first if you need to know.',
+      searchParamsTruthy:
+        "URLSearchParams objects are always truthy, even without parameters. Check 'toString()' against an empty string, or 'size' on Node.js 19.8 and later.",
       arrayInLogical:
         "Arrays are always truthy in logical expressions. Use '{{suggestion}}' to check for items.",
       objectInLogical:
         "Objects are always truthy in logical expressions. Use '{{suggestion}}' to check for properties.",
+      collectionInPredicate:
+        "'{{method}}' coerces its callback's return value to a boolean, and collections are always truthy. Use '{{suggestion}}' instead.",
+      collectionOrDefault:
+        "Collections are always truthy, so '||' never falls back to its right-hand side when this is empty. Use '{{suggestion}}' to fall back on an empty collection.",
+      collectionRendered:
+        "Collections are always truthy, so the right-hand side of '&&' is always rendered, even when this is empty. Use '{{suggestion}}' to render it only when there is content.",
+      collectionInSwitchTrue:
+        "'switch (true)' compares each case with ===, so a collection never matches. Use '{{suggestion}}' instead.",
+      collectionAsBooleanReturn:
+        "'{{name}}' should return a boolean, but collections are always truthy. Use '{{suggestion}}' instead.",
+      collectionInAssertion:
+        "'{{name}}' checks truthiness, and collections are always truthy, so it can never fail. Use '{{suggestion}}' instead.",
+      collectionInFailingAssertion:
+        "'{{name}}' checks for a falsy value, and collections are always truthy, so it can never pass. Use '{{suggestion}}' instead.",
+      singleElementSet:
+        "new {{name}}([item]) always has size 1. Did you mean 'if ({{element}})' or 'new {{name}}({{element}}).size > 0'?",
+      singleElementArray:
+        "'{{code}}' always has length 1, even when '{{element}}' is empty. Did you mean to check '{{element}}' itself?",
+      sparseArray:
+        "'{{code}}' has length {{count}} but no items, because new Array(n) only reserves empty slots.",
+      alwaysEmptyArray:
+        "'{{code}}' is always empty, so this test is always {{result}}, and the matching length check would always be {{lengthResult}}.",
+      singleEntryObject:
+        "'{{code}}' always has exactly one property, whatever the entry holds. Did you mean to check the entry's value?",
+      guardedCollectionTest:
+        "Collections are always truthy, and '{{guard}}' on line {{line}} already showed that '{{name}}' is {{fact}}, so this test has no effect.",
+      nullableCollectionTruthy:
+        "This collection may be null or undefined, but once set it is truthy even when empty. Use '{{suggestion}}' to check for both.",
     },
   },
 
@@ -52,8 +516,89 @@ export default {
       checkArrayLike: options.checkArrayLike !== false,
       allowExplicitBoolean: options.allowExplicitBoolean !== false,
       strictNaming: options.strictNaming === true,
+      nullableCollections: options.nullableCollections || 'ignore',
+      catalog: { jsonParse: options.jsonParse || 'ignore' },
+      memberDepth: options.memberDepth || 1,
+      followImports: options.followImports === true,
+      isArrayName: createNameMatcher(DEFAULT_ARRAY_NAMES, options.arrayNames),
+      isObjectName: createNameMatcher(
+        DEFAULT_OBJECT_NAMES,
+        options.objectNames
+      ),
+      isArrayProperty: createNameMatcher(
+        DEFAULT_ARRAY_PROPERTIES,
+        options.arrayProperties
+      ),
+      isObjectProperty: createNameMatcher(
+        DEFAULT_OBJECT_PROPERTIES,
+        options.objectProperties
+      ),
+      matchesArrayPattern: createNameMatcher(
+        DEFAULT_ARRAY_PATTERNS,
+        options.arrayNamePatterns
+      ),
+      matchesObjectPattern: createNameMatcher(
+        DEFAULT_OBJECT_PATTERNS,
+        options.objectNamePatterns
+      ),
+      isBooleanFunctionName: createNameMatcher(
+        DEFAULT_BOOLEAN_FUNCTION_NAMES,
+        options.booleanFunctionNames
+      ),
+      isAssertFunction: createNameMatcher(
+        DEFAULT_ASSERT_FUNCTIONS,
+        options.assertFunctions
+      ),
+      fixStyles: {
+        array: toFixStyle(options.fixStyle?.array),
+        object: toFixStyle(options.fixStyle?.object),
+        sized: toFixStyle(options.fixStyle?.sized),
+        'arraylike-length': toFixStyle(options.fixStyle?.['arraylike-length']),
+      },
+      ignorePatterns: options.ignorePatterns || DEFAULT_IGNORE_PATTERNS,
+      skipGenerated: options.skipGenerated !== false,
     };
 
+    // Path relative to the working directory, with forward slashes
+    function getLintedPath() {
+      const filename = context.filename ?? context.getFilename();
+      const cwd = context.cwd ?? context.getCwd?.() ?? process.cwd();
+      const relative = path.relative(cwd, filename);
+      const resolved =
+        relative.startsWith('..') || path.isAbsolute(relative)
+          ? filename
+          : relative;
+      return resolved.split(path.sep).join('/');
+    }
+
+    function isGeneratedSource() {
+      const firstComment = sourceCode.getAllComments()[0];
+      return (
+        sourceCode.lines.some(line => line.length > MINIFIED_LINE_LENGTH) ||
+        SOURCE_MAP_TRAILER.test(sourceCode.text) ||
+        (firstComment !== undefined &&
+          GENERATED_MARKER.test(firstComment.value))
+      );
+    }
+
+    function shouldSkipFile() {
+      const lintedPath = getLintedPath();
+      if (config.ignorePatterns.some(glob => matchesGlob(glob, lintedPath))) {
+        return true;
+      }
+      return config.skipGenerated && isGeneratedSource();
+    }
+
+    if (shouldSkipFile()) return {};
+
+    // Nodes whose truthiness is tested, so nested logical operands know
+    // whether their value is coerced or used as-is
+    const testedNodes = new WeakSet();
+
+    const analyzeType = createTypeAnalyzer(sourceCode);
+    const analyzeJSDoc = createJSDocAnalyzer(context);
+    const guards = createGuardTracker(context);
+
     function isInExplicitBooleanContext(node) {
       const parent = node.parent;
       if (!parent) return false;
@@ -139,224 +684,93 @@ export default {
       return false;
     }
 
-    function analyzeNode(node) {
-      if (!node) return null;
-      if (node.type === 'ArrayExpression') {
-        return { type: 'array', confidence: 100, method: 'literal' };
+    function analyzeProperty(node) {
+      const property = node.property;
+      if (!property || property.type !== 'Identifier') return null;
+      const propName = property.name;
+      if (config.isArrayProperty(propName)) {
+        return { type: 'array', confidence: 75, method: 'member-property' };
       }
-      if (node.type === 'ObjectExpression') {
-        return { type: 'object', confidence: 100, method: 'literal' };
+      if (config.isObjectProperty(propName)) {
+        return { type: 'object', confidence: 75, method: 'member-property' };
       }
-      if (node.type === 'NewExpression' || node.type === 'CallExpression') {
-        const callee = node.callee;
-        if (!callee) return null;
-        if (callee.type === 'Identifier' && callee.name === 'Array') {
-          return { type: 'array', confidence: 95, method: 'constructor' };
-        }
-        if (callee.type === 'Identifier' && callee.name === 'Object') {
-          return { type: 'object', confidence: 95, method: 'constructor' };
-        }
-        if (
-          callee.type === 'Identifier' &&
-          ['Set', 'Map', 'WeakSet', 'WeakMap'].includes(callee.name)
-        ) {
-          if (node.arguments.length === 0) {
-            return { type: 'arraylike', confidence: 80, method: 'constructor' };
-          }
-          if (
-            node.arguments.length === 1 &&
-            node.arguments[0].type === 'ArrayExpression' &&
-            node.arguments[0].elements.length === 1
-          ) {
-            return {
-              type: 'arraylike',
-              confidence: 90,
-              suspicious: true,
-              element: node.arguments[0].elements[0],
-            };
-          }
-          return null;
-        }
-        if (callee.type === 'MemberExpression' && callee.property?.name) {
-          const arrayMethods = [
-            'map',
-            'filter',
-            'slice',
-            'concat',
-            'splice',
-            'flat',
-            'flatMap',
-          ];
-          if (arrayMethods.includes(callee.property.name)) {
-            return { type: 'array', confidence: 85, method: 'method' };
-          }
-        }
-        if (callee.type === 'MemberExpression') {
-          if (
-            callee.object?.name === 'Array' &&
-            ['from', 'of'].includes(callee.property?.name)
-          ) {
-            return { type: 'array', confidence: 95, method: 'static' };
-          }
-          if (
-            callee.object?.name === 'Object' &&
-            [
-              'create',
-              'assign',
-              'fromEntries',
-              'keys',
-              'values',
-              'entries',
-            ].includes(callee.property?.name)
-          ) {
-            return { type: 'object', confidence: 95, method: 'static' };
-          }
+      return null;
+    }
+
+    // Number of property accesses in `node`, where `this.state.items` and
+    // `this.props.items` count as one like `this.items`. Links written with
+    // `?.` before the last one don't count either: `res?.data?.items` already
+    // spells out that it navigates into optional response data.
+    function getMemberDepth(node) {
+      let depth = 0;
+      for (
+        let current = node;
+        current.type === 'MemberExpression';
+        current = current.object
+      ) {
+        const isComponentData =
+          current !== node &&
+          current.object.type === 'ThisExpression' &&
+          !current.computed &&
+          COMPONENT_DATA_PROPERTIES.includes(current.property.name);
+        const isOptionalLink = current !== node && current.optional;
+        if (!isComponentData && !isOptionalLink) depth++;
+      }
+      return depth;
+    }
+
+    function analyzeSyntax(node) {
+      if (!node) return null;
+      // `a?.b?.items` and `a?.items.filter(fn)` are judged by what comes
+      // last
+      if (node.type === 'ChainExpression') {
+        const last = node.expression;
+        if (last.type !== 'MemberExpression') {
+          return analyzeCollectionExpression(last, config.catalog);
         }
+        if (getMemberDepth(last) > config.memberDepth) return null;
+        return analyzeProperty(last);
       }
+      const collection = analyzeCollectionExpression(node, config.catalog);
+      if (collection) return collection;
       if (node.type === 'MemberExpression') {
-        const property = node.property;
-        if (!property || property.type !== 'Identifier') return null;
-        const propName = property.name;
-        const problematicArrayProps = [
-          'roles',
-          'tags',
-          'items',
-          'results',
-          'activities',
-          'connections',
-          'posts',
-          'comments',
-          'notifications',
-          'errors',
-          'warnings',
-          'failures',
-          'duplicates',
-        ];
-        const problematicObjectProps = [
-          'options',
-          'config',
-          'settings',
-          'preferences',
-          'filters',
-          'metadata',
-          'dateRange',
-          'timeRange',
-        ];
-        if (node.object?.type === 'MemberExpression') return null;
-        if (problematicArrayProps.includes(propName)) {
-          return { type: 'array', confidence: 75, method: 'member-property' };
-        }
-        if (problematicObjectProps.includes(propName)) {
-          return { type: 'object', confidence: 75, method: 'member-property' };
-        }
+        const imported = config.followImports && analyzeImport(context, node);
+        if (imported) return imported;
+        const tracked = analyzeClassProperty(context, node, config.catalog);
+        if (tracked !== undefined) return tracked;
+        if (getMemberDepth(node) > config.memberDepth) return null;
+        return analyzeProperty(node);
       }
       if (node.type === 'Identifier') {
         const name = node.name;
         if (isDestructuredVariable(node)) return null;
 
-        const exactArrayNames = [
-          'activities',
-          'connections',
-          'results',
-          'items',
-          'elements',
-          'entries',
-          'records',
-          'users',
-          'products',
-          'files',
-          'images',
-          'categories',
-          'widgets',
-          'posts',
-          'comments',
-          'notifications',
-          'tags',
-          'roles',
-          'errors',
-          'warnings',
-          'failures',
-          'duplicates',
-          'inactiveUsers',
-          'userIds',
-          'validatedWidgets',
-          'recentPosts',
-          'connectionTypes',
-          'migrationFiles',
-          'pending',
-          'appliedMigrations',
-          'allMigrations',
-          'migrations',
-          'batch',
-          'collections',
-          'statements',
-        ];
-
-        const exactObjectNames = [
-          'options',
-          'config',
-          'settings',
-          'props',
-          'attributes',
-          'metadata',
-          'preferences',
-          'privacy',
-          'dashboard',
-          'filters',
-          'updates',
-          'userData',
-          'userContent',
-          'analytics',
-          'timeRange',
-          'dateRange',
-          'activityGroups',
-          'connectionsByType',
-          'updatedPreferences',
-        ];
-
-        if (exactArrayNames.includes(name)) {
+        const tracked = analyzeVariable(context, node, config.catalog);
+        if (tracked !== undefined) return tracked;
+        const imported = config.followImports && analyzeImport(context, node);
+        if (imported) return imported;
+
+        if (config.isArrayName(name)) {
           return { type: 'array', confidence: 85, method: 'variable-name' };
         }
-        if (exactObjectNames.includes(name)) {
+        if (config.isObjectName(name)) {
           return { type: 'object', confidence: 85, method: 'variable-name' };
         }
 
         if (config.strictNaming) {
-          const arrayPatterns = [
-            /.*[Ll]ist$/,
-            /.*[Aa]rray$/,
-            /.*[Ii]tems$/,
-            /.*[Ee]ntries$/,
-            /.*[Rr]ecords$/,
-            /.*[Rr]esults$/,
-            /.*[Cc]ollection$/,
-          ];
-          const objectPatterns = [
-            /.*[Oo]ptions$/,
-            /.*[Cc]onfig$/,
-            /.*[Ss]ettings$/,
-            /.*[Oo]bject$/,
-            /.*[Dd]ata$/,
-            /.*[Ii]nfo$/,
-            /.*[Mm]ap$/,
-          ];
-          for (const pattern of arrayPatterns) {
-            if (pattern.test(name)) {
-              return {
-                type: 'array',
-                confidence: 65,
-                method: 'variable-pattern',
-              };
-            }
+          if (config.matchesArrayPattern(name)) {
+            return {
+              type: 'array',
+              confidence: 65,
+              method: 'variable-pattern',
+            };
           }
-          for (const pattern of objectPatterns) {
-            if (pattern.test(name)) {
-              return {
-                type: 'object',
-                confidence: 65,
-                method: 'variable-pattern',
-              };
-            }
+          if (config.matchesObjectPattern(name)) {
+            return {
+              type: 'object',
+              confidence: 65,
+              method: 'variable-pattern',
+            };
           }
         }
       }
@@ -364,123 +778,759 @@ export default {
       return null;
     }
 
-    function generateFix(node, type) {
-      const text = sourceCode.getText(node);
-      if (!text || text.trim() === '') return text;
-      switch (type) {
-        case 'array':
-          return `${text}.length > 0`;
-        case 'object':
-          return `Object.keys(${text}).length > 0`;
-        case 'arraylike':
-          return `${text}.size > 0`;
-        default:
-          return `${text}.length > 0`;
+    function analyzeNode(node) {
+      if (!node) return null;
+      const syntactic = analyzeSyntax(node);
+      if (syntactic?.suspicious) return syntactic;
+
+      // The type checker has the final say; JSDoc stands in for it in files
+      // without type information
+      let declared = analyzeType?.(node);
+      if (declared === undefined) declared = analyzeJSDoc(node);
+      // Without strictNullChecks the type can't rule out null, while a
+      // literal or tracked value can
+      if (
+        declared?.maybeNullish &&
+        syntactic &&
+        !HEURISTIC_METHODS.includes(syntactic.method)
+      ) {
+        return syntactic;
+      }
+      if (declared) return declared;
+      // A resolved non-collection type overrides name-based guesses
+      if (declared === null && HEURISTIC_METHODS.includes(syntactic?.method)) {
+        return null;
+      }
+      return syntactic;
+    }
+
+    // A helper is usable when it is already in scope, or when its import
+    // can be added to the file
+    function getFixStyle(node, type) {
+      const style = config.fixStyles[type];
+      if (!style?.import) return style;
+      if (findVariable(context, node, style.import.name)) return style;
+      return sourceCode.ast.sourceType === 'module' ? style : null;
+    }
+
+    // Generated checks carry the precedence of their outermost operator, so
+    // they can be parenthesized wherever they end up
+    function generateCheck(node, type, negated = false) {
+      // Reading the size off `a?.items` would throw or lose the
+      // short-circuit, so optional chains keep theirs
+      if (node.type === 'ChainExpression') {
+        return generateOptionalChainCheck(node, type, negated);
+      }
+      const style = getFixStyle(node, type);
+      if (style) {
+        const text = getOperandText(sourceCode, node, style.operandPrecedence);
+        const { template, precedence } = negated
+          ? style.negative
+          : style.positive;
+        return { text: template.replaceAll('{{expr}}', text), precedence };
+      }
+      const size = getSizeExpressionFor(sourceCode, node, type);
+      return negated
+        ? { text: `${size} === 0`, precedence: PRECEDENCE.EQUALITY }
+        : { text: `${size} > 0`, precedence: PRECEDENCE.RELATIONAL };
+    }
+
+    function wrap(check, minPrecedence) {
+      return check.precedence < minPrecedence ? `(${check.text})` : check.text;
+    }
+
+    function getImportText({ name, from, default: isDefault }) {
+      return isDefault
+        ? `import ${name} from '${from}';`
+        : `import { ${name} } from '${from}';`;
+    }
+
+    // Adds the helper to an existing named import from the same module, or
+    // a new import after the last one
+    function insertImport(fixer, specifier) {
+      const body = sourceCode.ast.body;
+      const imports = body.filter(
+        statement => statement.type === 'ImportDeclaration'
+      );
+      if (!specifier.default) {
+        const existing = imports.find(
+          declaration =>
+            declaration.source.value === specifier.from &&
+            declaration.importKind !== 'type' &&
+            declaration.specifiers.some(s => s.type === 'ImportSpecifier')
+        );
+        if (existing) {
+          const last = existing.specifiers[existing.specifiers.length - 1];
+          return fixer.insertTextAfter(last, `, ${specifier.name}`);
+        }
+      }
+      const text = getImportText(specifier);
+      if (imports.length > 0) {
+        return fixer.insertTextAfter(imports[imports.length - 1], `\n${text}`);
+      }
+      // Directives such as 'use strict' only count at the top of the file
+      const directives = body.filter(statement => statement.directive);
+      if (directives.length > 0) {
+        return fixer.insertTextAfter(
+          directives[directives.length - 1],
+          `\n${text}`
+        );
+      }
+      return fixer.insertTextBefore(body[0], `${text}\n`);
+    }
+
+    // Replaces `target` with a check generated for `node`, importing the
+    // fixStyle helper the check calls when it isn't in scope yet
+    function fixCheck(node, target, check, type) {
+      const text = parenthesizeFor(
+        sourceCode,
+        target,
+        check.text,
+        check.precedence
+      );
+      return fixer => {
+        const fixes = [fixer.replaceText(target, text)];
+        const specifier = getFixStyle(node, type)?.import;
+        if (specifier && !findVariable(context, node, specifier.name)) {
+          fixes.push(insertImport(fixer, specifier));
+        }
+        return fixes;
+      };
+    }
+
+    // `x != null && ...` guards the member access that the check adds;
+    // negated, `x == null || ...`
+    function generateNullSafeCheck(node, type, negated) {
+      const text = getOperandText(sourceCode, node, PRECEDENCE.EQUALITY);
+      const check = generateCheck(node, type, negated);
+      return negated
+        ? {
+            text: `${text} == null || ${wrap(check, PRECEDENCE.AND)}`,
+            precedence: PRECEDENCE.OR,
+          }
+        : {
+            text: `${text} != null && ${wrap(check, PRECEDENCE.AND + 1)}`,
+            precedence: PRECEDENCE.AND,
+          };
+    }
+
+    function generateOptionalChainCheck(node, type, negated) {
+      const comparison = negated ? '=== 0' : '> 0';
+      const size =
+        type === 'object'
+          ? `Object.keys(${getOperandText(sourceCode, node, PRECEDENCE.AND + 1)} ?? {}).length`
+          : `(${getOperandText(sourceCode, node, PRECEDENCE.CALL)}?.${getSizeProperty(type)} ?? 0)`;
+      return {
+        text: `${size} ${comparison}`,
+        precedence: negated ? PRECEDENCE.EQUALITY : PRECEDENCE.RELATIONAL,
+      };
+    }
+
+    // An optional chain already guards against null, so it only gets the
+    // optional chaining check
+    function reportNullable(node, type, canFix) {
+      const { target, negated } = getFixTarget(node);
+      const optionalChain = generateOptionalChainCheck(node, type, negated);
+      const nullSafe =
+        node.type === 'ChainExpression'
+          ? optionalChain
+          : generateNullSafeCheck(node, type, negated);
+
+      const suggestions = [
+        {
+          desc: `Optional chaining: Use ${optionalChain.text}`,
+          fix: fixCheck(node, target, optionalChain, type),
+        },
+      ];
+      if (nullSafe !== optionalChain) {
+        suggestions.unshift({
+          desc: `Null-safe check: Use ${nullSafe.text}`,
+          fix: fixCheck(node, target, nullSafe, type),
+        });
+      }
+
+      context.report({
+        node,
+        messageId: 'nullableCollectionTruthy',
+        data: { suggestion: nullSafe.text },
+        fix: canFix ? fixCheck(node, target, nullSafe, type) : null,
+        suggest: suggestions,
+      });
+    }
+
+    // Safe to evaluate twice: `items`, `this.items`, `state.items[0]`
+    function isPlainReference(node) {
+      if (node.type === 'Identifier' || node.type === 'ThisExpression') {
+        return true;
       }
+      return (
+        node.type === 'MemberExpression' &&
+        (!node.computed || node.property.type === 'Literal') &&
+        isPlainReference(node.object)
+      );
     }
 
-    function getMessageId(type, isLogical = false) {
-      if (isLogical) {
-        return type === 'array'
-          ? 'arrayInLogical'
-          : type === 'object'
-            ? 'objectInLogical'
-            : 'arrayLikeTruthy';
+    // `items || defaults` exists for the case where `items` is undefined,
+    // which the rewritten check would throw on, so the fix is only
+    // suggested. An empty fallback of the same kind (`items || []`) gives
+    // the same result either way and isn't reported.
+    function reportDefaulting(node, type) {
+      const logical = node.parent;
+      const right = logical.right;
+      if (
+        isEmptyCollectionExpression(right) &&
+        analyzeCollectionExpression(right).type === type
+      ) {
+        return;
       }
-      return type === 'array'
-        ? 'arrayTruthy'
-        : type === 'object'
-          ? 'objectTruthy'
-          : 'arrayLikeTruthy';
+      const rightText = getOperandText(
+        sourceCode,
+        right,
+        PRECEDENCE.ASSIGNMENT
+      );
+      const test = wrap(generateCheck(node, type), PRECEDENCE.CONDITIONAL + 1);
+      const suggestion = {
+        text: `${test} ? ${sourceCode.getText(node)} : ${rightText}`,
+        precedence: PRECEDENCE.CONDITIONAL,
+      };
+
+      context.report({
+        node,
+        messageId: 'collectionOrDefault',
+        data: { suggestion: suggestion.text },
+        suggest: isPlainReference(node)
+          ? [
+              {
+                desc: `Fall back when empty: Use ${suggestion.text}`,
+                fix: fixCheck(node, logical, suggestion, type),
+              },
+            ]
+          : [],
+      });
+    }
+
+    // A template renders `false` as text, so `${items && label}` becomes a
+    // conditional that renders nothing when the collection is empty
+    function reportTemplateGuard(node, type, canFix) {
+      const logical = node.parent;
+      const right = logical.right;
+      const rightText = getOperandText(
+        sourceCode,
+        right,
+        PRECEDENCE.ASSIGNMENT
+      );
+      const test = wrap(generateCheck(node, type), PRECEDENCE.CONDITIONAL + 1);
+      const check = {
+        text: `${test} ? ${rightText} : ''`,
+        precedence: PRECEDENCE.CONDITIONAL,
+      };
+
+      context.report({
+        node,
+        messageId: 'collectionRendered',
+        data: { suggestion: check.text },
+        fix: canFix ? fixCheck(node, logical, check, type) : null,
+        suggest: [
+          {
+            desc: `Render nothing when empty: Use ${check.text}`,
+            fix: fixCheck(node, logical, check, type),
+          },
+        ],
+      });
+    }
+
+    function replaceWith(node, text, precedence) {
+      return fixer =>
+        fixer.replaceText(
+          node,
+          parenthesizeFor(sourceCode, node, text, precedence)
+        );
+    }
+
+    // Collections whose size is fixed by how they are built. None of these
+    // are autofixed: the code most likely meant to test something else.
+    function reportSuspicious(node, analysis, target, negated) {
+      const { type, suspicious, element, value } = analysis;
+      const code = sourceCode.getText(node);
+      const sizeCheck = generateCheck(node, type, negated);
+      const comparison = negated ? '=== 0' : '> 0';
+      const comparisonPrecedence = negated
+        ? PRECEDENCE.EQUALITY
+        : PRECEDENCE.RELATIONAL;
+      const currentBehavior = {
+        desc: `Check size (current behavior): ${sizeCheck.text}`,
+        fix: fixCheck(node, target, sizeCheck, type),
+      };
+      const checkElement = (label, child) => ({
+        desc: `${label}: if (${sourceCode.getText(child)})`,
+        fix: replaceWith(node, sourceCode.getText(child), getPrecedence(child)),
+      });
+
+      if (suspicious === 'single-element' && type === 'sized') {
+        const name = node.callee.name;
+        const elementText = sourceCode.getText(element);
+        const rebuilt = `new ${name}(${getOperandText(sourceCode, element, PRECEDENCE.ASSIGNMENT)}).size > 0`;
+        context.report({
+          node,
+          messageId: 'singleElementSet',
+          data: { name, element: elementText },
+          suggest: [
+            checkElement('Check the element directly', element),
+            {
+              desc: `Create ${name} from element: ${rebuilt}`,
+              fix: replaceWith(node, rebuilt, PRECEDENCE.RELATIONAL),
+            },
+            currentBehavior,
+          ],
+        });
+        return;
+      }
+
+      if (suspicious === 'single-element') {
+        const elementText = sourceCode.getText(element);
+        const copied = `Array.from(${getOperandText(sourceCode, element, PRECEDENCE.ASSIGNMENT)}).length ${comparison}`;
+        context.report({
+          node,
+          messageId: 'singleElementArray',
+          data: { code, element: elementText },
+          suggest: [
+            checkElement('Check the element directly', element),
+            {
+              desc: `Check the element's items: ${copied}`,
+              fix: replaceWith(target, copied, comparisonPrecedence),
+            },
+            currentBehavior,
+          ],
+        });
+        return;
+      }
+
+      if (suspicious === 'sparse') {
+        const count = `${getOperandText(sourceCode, element, PRECEDENCE.RELATIONAL + 1)} ${comparison}`;
+        context.report({
+          node,
+          messageId: 'sparseArray',
+          data: { code, count: sourceCode.getText(element) },
+          suggest:
+            element.type === 'Literal'
+              ? [currentBehavior]
+              : [
+                  {
+                    desc: `Check the count directly: ${count}`,
+                    fix: replaceWith(target, count, comparisonPrecedence),
+                  },
+                  currentBehavior,
+                ],
+        });
+        return;
+      }
+
+      if (suspicious === 'empty') {
+        context.report({
+          node,
+          messageId: 'alwaysEmptyArray',
+          data: {
+            code,
+            result: negated ? 'false' : 'true',
+            lengthResult: negated ? 'true' : 'false',
+          },
+        });
+        return;
+      }
+
+      context.report({
+        node,
+        messageId: 'singleEntryObject',
+        data: { code },
+        suggest: value
+          ? [checkElement('Check the value directly', value), currentBehavior]
+          : [currentBehavior],
+      });
+    }
+
+    function getMessageId(type, booleanContext) {
+      if (booleanContext === 'predicate') return 'collectionInPredicate';
+      if (booleanContext === 'switch') return 'collectionInSwitchTrue';
+      if (booleanContext === 'render' || booleanContext === 'template') {
+        return 'collectionRendered';
+      }
+      if (booleanContext === 'return') return 'collectionAsBooleanReturn';
+      if (booleanContext === 'assertion') return 'collectionInAssertion';
+      if (booleanContext === 'failingAssertion') {
+        return 'collectionInFailingAssertion';
+      }
+      if (booleanContext === 'logical' && type === 'array') {
+        return 'arrayInLogical';
+      }
+      if (booleanContext === 'logical' && type === 'object') {
+        return 'objectInLogical';
+      }
+      return TRUTHY_MESSAGE_IDS[type];
+    }
+
+    // Per-method option, then the global option, then the built-in default
+    function getMinConfidence(method) {
+      const option = options.minConfidence;
+      if (typeof option === 'number') return option;
+      return (
+        getMethodOption(option, method) ??
+        DEFAULT_METHOD_MIN_CONFIDENCE.get(method) ??
+        DEFAULT_MIN_CONFIDENCE
+      );
+    }
+
+    // Heuristic hits can be downgraded to suggestions so `--fix` never
+    // rewrites code based on a variable name alone
+    function shouldAutofix(method) {
+      const option = options.autofix || 'always';
+      if (option === 'always') return true;
+      if (option === 'never') return false;
+      if (option === 'high-confidence') {
+        return !HEURISTIC_METHODS.includes(method);
+      }
+      return (getMethodOption(option, method) || 'fix') === 'fix';
     }
 
     function shouldCheck(type) {
       return (
         (type === 'array' && config.checkArrays) ||
         (type === 'object' && config.checkObjects) ||
-        (type === 'arraylike' && config.checkArrayLike)
+        (ARRAYLIKE_TYPES.includes(type) && config.checkArrayLike)
       );
     }
 
-    function reportIssue(node, analysis, isLogical = false) {
+    // `!items` is rewritten as a whole into `items.length === 0`, and
+    // `!!items` and `Boolean(items)` into `items.length > 0`
+    function getFixTarget(node) {
+      const { target, negated } = getNegationTarget(node);
+      const parent = target.parent;
+      if (
+        parent?.type === 'CallExpression' &&
+        parent.callee.type === 'Identifier' &&
+        parent.callee.name === 'Boolean' &&
+        parent.arguments.length === 1 &&
+        parent.arguments[0] === target
+      ) {
+        return { target: parent, negated };
+      }
+      return { target, negated };
+    }
+
+    function getNegationTarget(node) {
+      const parent = node.parent;
+      if (parent?.type !== 'UnaryExpression' || parent.operator !== '!') {
+        return { target: node, negated: false };
+      }
+      const grandParent = parent.parent;
+      if (
+        grandParent?.type === 'UnaryExpression' &&
+        grandParent.operator === '!'
+      ) {
+        return { target: grandParent, negated: false };
+      }
+      return { target: parent, negated: true };
+    }
+
+    function reportIssue(
+      node,
+      analysis,
+      booleanContext = 'test',
+      contextData = {}
+    ) {
       const { type, confidence, suspicious, element, method } = analysis;
       if (!shouldCheck(type)) return;
-      if (isProperValidationPattern(node)) return;
+      if (
+        isProperValidationPattern(node) ||
+        guards.isNullCheckBeforeSize(node)
+      ) {
+        return;
+      }
 
-      let minConfidence = 60;
-      if (method === 'variable-pattern') minConfidence = 65;
-      if (method === 'member-property') minConfidence = 70;
-      if (confidence < minConfidence) return;
+      if (confidence < getMinConfidence(method)) return;
 
       if (config.allowExplicitBoolean && isInExplicitBooleanContext(node))
         return;
 
-      if (suspicious && element) {
-        const calleeName = node.callee.name;
-        const elementText = sourceCode.getText(element);
+      // `if (items)` on `T[] | undefined` is a legitimate nullish check,
+      // and `items || []` a legitimate default
+      if (analysis.nullable) {
+        if (
+          config.nullableCollections === 'report' &&
+          booleanContext !== 'default' &&
+          isMeasurable(type)
+        ) {
+          reportNullable(
+            node,
+            type,
+            shouldAutofix(method) && !analysis.suggestOnly
+          );
+        }
+        return;
+      }
 
+      // There is nothing to measure, so there is no fix to offer
+      if (!isMeasurable(type)) {
         context.report({
           node,
-          message: `new ${calleeName}([item]) always has size 1. Did you mean 'if ({{element}})' or 'new ${calleeName}({{element}}).size > 0'?`,
-          data: { element: elementText },
-          suggest: [
-            {
-              desc: `Check the element directly: if (${elementText})`,
-              fix: fixer => fixer.replaceText(node, elementText),
-            },
-            {
-              desc: `Create ${calleeName} from element: new ${calleeName}(${elementText}).size > 0`,
-              fix: fixer =>
-                fixer.replaceText(
-                  node,
-                  `new ${calleeName}(${elementText}).size > 0`
-                ),
-            },
-            {
-              desc: `Check size (current behavior): ${generateFix(node, type)}`,
-              fix: fixer => fixer.replaceText(node, generateFix(node, type)),
-            },
-          ],
+          messageId: UNMEASURABLE_MESSAGE_IDS[type],
         });
         return;
       }
 
-      const suggestion = generateFix(node, type);
-      const messageId = getMessageId(type, isLogical);
+      const { target, negated } = getFixTarget(node);
+
+      if (suspicious && (element || suspicious === 'empty')) {
+        reportSuspicious(node, analysis, target, negated);
+        return;
+      }
+
+      if (booleanContext === 'default') {
+        reportDefaulting(node, type);
+        return;
+      }
+
+      // When the types can't tell whether the value is set, the fix guards
+      // against null, which is only safe to repeat on a plain reference
+      const guardNull =
+        analysis.maybeNullish && node.type !== 'ChainExpression';
+      const canFix =
+        shouldAutofix(method) &&
+        !analysis.suggestOnly &&
+        (!guardNull || isPlainReference(node));
+
+      if (booleanContext === 'template') {
+        reportTemplateGuard(node, type, canFix && !guardNull);
+        return;
+      }
+
+      const check =
+        guardNull && isPlainReference(node)
+          ? generateNullSafeCheck(node, type, negated)
+          : generateCheck(node, type, negated);
+      const messageId = getMessageId(type, booleanContext);
 
       const suggestions = [
         {
-          desc: `Safe default: Use ${suggestion} to check for items/properties`,
-          fix: fixer => fixer.replaceText(node, suggestion),
+          desc: `Safe default: Use ${check.text} to check for items/properties`,
+          fix: fixCheck(node, target, check, type),
         },
       ];
 
-      if (type !== 'arraylike') {
+      // Offering `Boolean(items)` makes no sense when that is what's reported
+      if (
+        (type === 'array' || type === 'object') &&
+        !isInExplicitBooleanContext(node)
+      ) {
+        const coerced = `Boolean(${getOperandText(sourceCode, node, PRECEDENCE.ASSIGNMENT)})`;
         suggestions.push({
-          desc: `Explicit coercion: Use Boolean(${sourceCode.getText(node)}) if you really want a boolean`,
-          fix: fixer =>
-            fixer.replaceText(node, `Boolean(${sourceCode.getText(node)})`),
+          desc: `Explicit coercion: Use ${coerced} if you really want a boolean`,
+          fix: fixer => fixer.replaceText(node, coerced),
         });
       }
 
       context.report({
         node,
         messageId,
-        data: { suggestion },
-        fix: fixer => fixer.replaceText(node, suggestion),
+        data: { ...contextData, suggestion: check.text },
+        fix: canFix ? fixCheck(node, target, check, type) : null,
         suggest: suggestions,
       });
     }
 
-    function checkBooleanContext(node, isLogical = false) {
+    function checkBooleanContext(
+      node,
+      booleanContext = 'test',
+      contextData = {}
+    ) {
       if (!node) return;
+      // A defaulting `||` passes its left operand through as a value
+      if (booleanContext !== 'default') testedNodes.add(node);
       const analysis = analyzeNode(node);
+      if (reportGuardedTest(node, analysis)) return;
       if (analysis) {
-        reportIssue(node, analysis, isLogical);
+        reportIssue(node, analysis, booleanContext, contextData);
+      }
+    }
+
+    // `x` after `Array.isArray(x)` or `if (x.length === 0) return;` is known
+    // to be set, which also covers collections that may be null elsewhere
+    function reportGuardedTest(node, analysis) {
+      const found = guards.findGuard(node);
+      if (!found) return false;
+      const type = analysis?.type ?? (found.isArray ? 'array' : null);
+      if (!type || !isMeasurable(type) || !shouldCheck(type)) return false;
+      if (analysis && analysis.confidence < getMinConfidence(analysis.method)) {
+        return false;
+      }
+      if (config.allowExplicitBoolean && isInExplicitBooleanContext(node)) {
+        return true;
+      }
+
+      // `x && rest` is `rest` whatever the context, `rest && x` only when
+      // the result is coerced
+      const parent = node.parent;
+      const suggest = [];
+      if (
+        parent.type === 'LogicalExpression' &&
+        parent.operator === '&&' &&
+        (parent.left === node || testedNodes.has(parent))
+      ) {
+        const other = parent.left === node ? parent.right : parent.left;
+        const otherText = sourceCode.getText(other);
+        suggest.push({
+          desc: `Remove the redundant test: ${otherText}`,
+          fix: replaceWith(parent, otherText, getPrecedence(other)),
+        });
+      }
+
+      context.report({
+        node,
+        messageId: 'guardedCollectionTest',
+        data: {
+          name: node.name,
+          guard: sourceCode.getText(found.guard),
+          line: found.guard.loc.start.line,
+          fact: found.isArray ? 'an array' : 'not null or undefined',
+        },
+        suggest,
+      });
+      return true;
+    }
+
+    function getEnclosingFunction(node) {
+      let current = node.parent;
+      while (current && !FUNCTION_TYPES.includes(current.type)) {
+        current = current.parent;
+      }
+      return current;
+    }
+
+    // Name of the array method when `fn` is its predicate callback
+    function getPredicateMethod(fn) {
+      const call = fn?.parent;
+      if (call?.type !== 'CallExpression' || call.arguments[0] !== fn) {
+        return null;
+      }
+      const callee = call.callee;
+      if (
+        callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        PREDICATE_METHODS.includes(callee.property.name)
+      ) {
+        return callee.property.name;
+      }
+      return null;
+    }
+
+    function getFunctionName(fn) {
+      if (fn.id) return fn.id.name;
+      const parent = fn.parent;
+      if (parent.type === 'VariableDeclarator') return parent.id.name;
+      if (
+        (parent.type === 'Property' || parent.type === 'MethodDefinition') &&
+        !parent.computed
+      ) {
+        return parent.key.name;
+      }
+      if (parent.type === 'AssignmentExpression') {
+        return parent.left.type === 'MemberExpression'
+          ? parent.left.property.name
+          : parent.left.name;
+      }
+      return null;
+    }
+
+    // Annotated `: boolean` / `: x is T`, or named like isX/hasX
+    function isBooleanFunction(fn, name) {
+      const returnType = fn.returnType?.typeAnnotation;
+      if (
+        returnType?.type === 'TSBooleanKeyword' ||
+        (returnType?.type === 'TSTypePredicate' && !returnType.asserts)
+      ) {
+        return true;
       }
+      return Boolean(name) && config.isBooleanFunctionName(name);
+    }
+
+    function checkFunctionReturn(fn, returned) {
+      if (!fn) return;
+      const method = getPredicateMethod(fn);
+      if (method) {
+        checkBooleanContext(returned, 'predicate', { method });
+        return;
+      }
+      const name = getFunctionName(fn);
+      if (isBooleanFunction(fn, name)) {
+        checkBooleanContext(returned, 'return', {
+          name: name || 'function',
+        });
+      }
+    }
+
+    function getCalleeName(callee) {
+      if (callee.type === 'Identifier') return callee.name;
+      if (
+        callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        callee.object.type === 'Identifier'
+      ) {
+        return `${callee.object.name}.${callee.property.name}`;
+      }
+      return null;
+    }
+
+    // `expect(x).toBeTruthy()` and `expect(x).not.toBeFalsy()`
+    /**
+     * `expect(value).toBeTruthy()` and its variants.
+     * @returns {{value: object, name: string, passesWhenTruthy: boolean} |
+     *   null} the tested value, the matcher as written and whether the
+     *   assertion passes for a truthy value
+     */
+    function getExpectedValue(call) {
+      const callee = call.callee;
+      if (
+        callee.type !== 'MemberExpression' ||
+        !Object.prototype.hasOwnProperty.call(
+          TRUTHINESS_MATCHERS,
+          callee.property.name
+        )
+      ) {
+        return null;
+      }
+      const matcher = callee.property.name;
+      let target = callee.object;
+      const negated =
+        target.type === 'MemberExpression' && target.property.name === 'not';
+      if (negated) target = target.object;
+      if (
+        target.type === 'CallExpression' &&
+        target.callee.type === 'Identifier' &&
+        target.callee.name === 'expect'
+      ) {
+        return {
+          value: target.arguments[0],
+          name: `expect()${negated ? '.not' : ''}.${matcher}`,
+          passesWhenTruthy: TRUTHINESS_MATCHERS[matcher] !== negated,
+        };
+      }
+      return null;
+    }
+
+    // `{items && <List />}` in JSX
+    function isRenderedValue(node) {
+      return node.parent.type === 'JSXExpressionContainer';
+    }
+
+    // `${items && label}` in a template
+    function isTemplateValue(node) {
+      const parent = node.parent;
+      return (
+        parent.type === 'TemplateLiteral' && parent.expressions.includes(node)
+      );
     }
 
     return {
+      ...guards.listeners,
       IfStatement(node) {
         checkBooleanContext(node.test);
       },
@@ -497,14 +1547,66 @@ export default {
         checkBooleanContext(node.test);
       },
       LogicalExpression(node) {
-        checkBooleanContext(node.left, true);
-        checkBooleanContext(node.right, true);
+        // `items ?? []` is a nullish check, not a truthiness test
+        if (node.operator === '??') return;
+        const isTested = testedNodes.has(node);
+        if (node.operator === '||' && !isTested) {
+          checkBooleanContext(node.left, 'default');
+        } else if (node.operator === '&&' && isRenderedValue(node)) {
+          checkBooleanContext(node.left, 'render');
+        } else if (node.operator === '&&' && isTemplateValue(node)) {
+          checkBooleanContext(node.left, 'template');
+        } else {
+          checkBooleanContext(node.left, 'logical');
+        }
+        // The right operand is only coerced when the whole expression is
+        if (isTested) checkBooleanContext(node.right, 'logical');
       },
       UnaryExpression(node) {
         if (node.operator === '!') {
           checkBooleanContext(node.argument);
         }
       },
+      SwitchStatement(node) {
+        if (
+          node.discriminant.type !== 'Literal' ||
+          node.discriminant.value !== true
+        ) {
+          return;
+        }
+        for (const switchCase of node.cases) {
+          if (switchCase.test) checkBooleanContext(switchCase.test, 'switch');
+        }
+      },
+      CallExpression(node) {
+        const calleeName = getCalleeName(node.callee);
+        if (calleeName === 'Boolean') {
+          checkBooleanContext(node.arguments[0]);
+          return;
+        }
+        if (calleeName && config.isAssertFunction(calleeName)) {
+          checkBooleanContext(node.arguments[0], 'assertion', {
+            name: calleeName,
+          });
+          return;
+        }
+        const expected = getExpectedValue(node);
+        if (expected) {
+          checkBooleanContext(
+            expected.value,
+            expected.passesWhenTruthy ? 'assertion' : 'failingAssertion',
+            { name: expected.name }
+          );
+        }
+      },
+      ArrowFunctionExpression(node) {
+        if (node.expression) checkFunctionReturn(node, node.body);
+      },
+      ReturnStatement(node) {
+        if (node.argument) {
+          checkFunctionReturn(getEnclosingFunction(node), node.argument);
+        }
+      },
     };
   },
 };
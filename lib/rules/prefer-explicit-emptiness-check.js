@@ -0,0 +1,238 @@
+/**
+ * ESLint Rule: prefer-explicit-emptiness-check
+ *
+ * Normalizes emptiness checks on known collections (`arr.length > 0`,
+ * `arr.length !== 0`, `!!arr.length`, `Object.keys(o).length`, ...) to the
+ * single form configured for the project.
+ */
+
+import {
+  analyzeCollectionExpression,
+  analyzeVariable,
+  findVariable,
+} from '../utils/collections.js';
+import { PRECEDENCE, parenthesizeFor } from '../utils/precedence.js';
+import { createTypeAnalyzer } from '../utils/types.js';
+
+const STYLES = ['greater-than', 'not-equal', 'truthiness'];
+const TEST_PARENTS = [
+  'IfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'ForStatement',
+  'ConditionalExpression',
+];
+// Comparisons of a size with a number literal, as [operator, value, empty].
+// Each is also matched mirrored, e.g. `0 < arr.length`.
+const SIZE_COMPARISONS = [
+  ['>', 0, false],
+  ['!==', 0, false],
+  ['!=', 0, false],
+  ['>=', 1, false],
+  ['===', 0, true],
+  ['==', 0, true],
+  ['<', 1, true],
+  ['<=', 0, true],
+];
+// Precedence of each preferred form, e.g. `!x.length` is a unary expression
+const FORM_PRECEDENCE = {
+  '> 0': PRECEDENCE.RELATIONAL,
+  '!== 0': PRECEDENCE.EQUALITY,
+  '=== 0': PRECEDENCE.EQUALITY,
+  '!': PRECEDENCE.UNARY,
+  '!!': PRECEDENCE.UNARY,
+  bare: PRECEDENCE.CALL,
+};
+const MIRRORED_OPERATORS = {
+  '>': '<',
+  '<': '>',
+  '>=': '<=',
+  '<=': '>=',
+};
+
+export default {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description:
+        'Enforce one consistent form for collection emptiness checks',
+      category: 'Stylistic Issues',
+      recommended: false,
+    },
+    fixable: 'code',
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          style: { enum: STYLES, default: 'greater-than' },
+          objectHelper: { type: 'string', minLength: 1 },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      preferEmptinessCheck: "Check emptiness with '{{expected}}'.",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.getSourceCode();
+    const options = context.options[0] || {};
+    const style = options.style || 'greater-than';
+    const objectHelper = options.objectHelper;
+    const analyzeType = createTypeAnalyzer(sourceCode);
+
+    function isKnownCollection(node) {
+      if (analyzeCollectionExpression(node)) return true;
+      if (node.type === 'Identifier' && analyzeVariable(context, node)) {
+        return true;
+      }
+      return Boolean(analyzeType?.(node));
+    }
+
+    function isObjectKeysCall(node) {
+      return (
+        node.type === 'CallExpression' &&
+        node.callee.type === 'MemberExpression' &&
+        !node.callee.computed &&
+        node.callee.object.type === 'Identifier' &&
+        node.callee.object.name === 'Object' &&
+        node.callee.property.name === 'keys' &&
+        node.arguments.length === 1 &&
+        node.arguments[0].type !== 'SpreadElement'
+      );
+    }
+
+    // Matches `x.length`, `x.size` and `Object.keys(x).length` on a known
+    // collection. Object.keys() always measures a collection.
+    function getSize(node) {
+      if (
+        node?.type !== 'MemberExpression' ||
+        node.computed ||
+        node.optional ||
+        !['length', 'size'].includes(node.property.name)
+      ) {
+        return null;
+      }
+      if (node.property.name === 'length' && isObjectKeysCall(node.object)) {
+        return { node, target: node.object.arguments[0], keys: true };
+      }
+      if (!isKnownCollection(node.object)) return null;
+      return { node, target: node.object, keys: false };
+    }
+
+    function isNumber(node, value) {
+      return node.type === 'Literal' && node.value === value;
+    }
+
+    function matchComparison(node) {
+      for (const [operator, value, empty] of SIZE_COMPARISONS) {
+        if (node.operator === operator && isNumber(node.right, value)) {
+          const size = getSize(node.left);
+          if (size) return { size, empty, form: `${operator} ${value}` };
+        }
+        const mirrored = MIRRORED_OPERATORS[operator] || operator;
+        if (node.operator === mirrored && isNumber(node.left, value)) {
+          const size = getSize(node.right);
+          if (size) return { size, empty, form: 'mirrored' };
+        }
+      }
+      return null;
+    }
+
+    function isTestPosition(node) {
+      let current = node;
+      while (
+        current.parent.type === 'LogicalExpression' &&
+        current.parent.operator !== '??'
+      ) {
+        current = current.parent;
+      }
+      return (
+        TEST_PARENTS.includes(current.parent.type) &&
+        current.parent.test === current
+      );
+    }
+
+    function getExpected(check, inTest) {
+      const sizeText = sourceCode.getText(check.size.node);
+      if (check.size.keys && objectHelper) {
+        const call = `${objectHelper}(${sourceCode.getText(check.size.target)})`;
+        return {
+          form: 'helper',
+          text: check.empty ? call : `!${call}`,
+          precedence: check.empty ? PRECEDENCE.CALL : PRECEDENCE.UNARY,
+        };
+      }
+      if (style === 'truthiness') {
+        if (check.empty) return { form: '!', text: `!${sizeText}` };
+        return inTest
+          ? { form: 'bare', text: sizeText }
+          : { form: '!!', text: `!!${sizeText}` };
+      }
+      if (check.empty) return { form: '=== 0', text: `${sizeText} === 0` };
+      return style === 'not-equal'
+        ? { form: '!== 0', text: `${sizeText} !== 0` }
+        : { form: '> 0', text: `${sizeText} > 0` };
+    }
+
+    function check(node, match) {
+      const inTest = isTestPosition(node);
+      const expected = getExpected(match, inTest);
+      if (match.form === expected.form) return;
+
+      let fix = null;
+      if (
+        expected.form !== 'helper' ||
+        // `_.isEmpty` is in scope when `_` is
+        findVariable(context, node, objectHelper.split('.')[0])
+      ) {
+        const text = parenthesizeFor(
+          sourceCode,
+          node,
+          expected.text,
+          expected.precedence ?? FORM_PRECEDENCE[expected.form]
+        );
+        fix = fixer => fixer.replaceText(node, text);
+      }
+      context.report({
+        node,
+        messageId: 'preferEmptinessCheck',
+        data: { expected: expected.text },
+        fix,
+      });
+    }
+
+    return {
+      BinaryExpression(node) {
+        const match = matchComparison(node);
+        if (match) check(node, match);
+      },
+
+      UnaryExpression(node) {
+        if (node.operator !== '!') return;
+        // `!!x.length` is handled from the outer `!`
+        if (
+          node.parent.type === 'UnaryExpression' &&
+          node.parent.operator === '!'
+        ) {
+          return;
+        }
+        const argument = node.argument;
+        if (argument.type === 'UnaryExpression' && argument.operator === '!') {
+          const size = getSize(argument.argument);
+          if (size) check(node, { size, empty: false, form: '!!' });
+          return;
+        }
+        const size = getSize(argument);
+        if (size) check(node, { size, empty: true, form: '!' });
+      },
+
+      MemberExpression(node) {
+        if (!isTestPosition(node)) return;
+        const size = getSize(node);
+        if (size) check(node, { size, empty: false, form: 'bare' });
+      },
+    };
+  },
+};
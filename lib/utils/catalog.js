@@ -0,0 +1,156 @@
+/**
+ * Built-in APIs known to return collections, keyed by how they are called.
+ *
+ * Each entry maps a name to the kind of collection it returns ('array',
+ * 'object', 'sized', 'weak', 'unsized', 'search-params' or 'arraylike-length'), or an object with the
+ * kind under `type` plus constraints on the call. Entries are receiver-agnostic where the name is
+ * distinctive enough (`arr.map()`, `str.split()`), and tied to a global
+ * otherwise (`Object.keys()`).
+ */
+
+const TYPED_ARRAYS = [
+  'Int8Array',
+  'Uint8Array',
+  'Uint8ClampedArray',
+  'Int16Array',
+  'Uint16Array',
+  'Int32Array',
+  'Uint32Array',
+  'Float32Array',
+  'Float64Array',
+  'BigInt64Array',
+  'BigUint64Array',
+];
+
+// Collection types other than arrays and plain objects, by name
+const SIZED_TYPE_NAMES = ['Set', 'Map', 'ReadonlySet', 'ReadonlyMap'];
+const WEAK_TYPE_NAMES = ['WeakSet', 'WeakMap'];
+const UNSIZED_TYPE_NAMES = ['FormData'];
+const LENGTH_TYPE_NAMES = [
+  'IArguments',
+  'NodeList',
+  'NodeListOf',
+  'HTMLCollection',
+  'HTMLCollectionOf',
+  'FileList',
+  ...TYPED_ARRAYS,
+];
+
+/**
+ * `new X(...)` and `X(...)`. Set and Map are handled separately, see
+ * analyzeCollectionExpression().
+ */
+export const CONSTRUCTORS = {
+  Array: 'array',
+  Object: 'object',
+  ...Object.fromEntries(TYPED_ARRAYS.map(name => [name, 'arraylike-length'])),
+  // Built from a query string or entries, which are often empty
+  URLSearchParams: { type: 'search-params', maxArgs: 0 },
+  FormData: 'unsized',
+};
+
+/** `Global.method(...)` */
+export const STATIC_METHODS = {
+  Array: { from: 'array', of: 'array' },
+  Object: {
+    create: 'object',
+    assign: 'object',
+    fromEntries: 'object',
+    groupBy: 'object',
+    keys: 'array',
+    values: 'array',
+    entries: 'array',
+    getOwnPropertyNames: 'array',
+    getOwnPropertySymbols: 'array',
+  },
+  Reflect: { ownKeys: 'array' },
+  Map: { groupBy: 'sized' },
+  ...Object.fromEntries(
+    TYPED_ARRAYS.map(name => [
+      name,
+      { from: 'arraylike-length', of: 'arraylike-length' },
+    ])
+  ),
+};
+
+/** `await Global.method(...)` */
+export const AWAITED_STATIC_METHODS = {
+  Promise: { all: 'array', allSettled: 'array' },
+};
+
+/** `anything.method(...)` */
+export const INSTANCE_METHODS = {
+  map: 'array',
+  filter: 'array',
+  slice: 'array',
+  concat: 'array',
+  splice: 'array',
+  flat: 'array',
+  flatMap: 'array',
+  toSorted: 'array',
+  toReversed: 'array',
+  toSpliced: 'array',
+  // Temporal's `date.with({ ... })` takes a single argument
+  with: { type: 'array', minArgs: 2 },
+  split: 'array',
+  // null when nothing matches, so `if (str.match(re))` is a real test
+  match: { type: 'array', nullable: true },
+  exec: { type: 'array', nullable: true },
+  // An iterator, even when nothing matches
+  matchAll: 'unsized',
+  querySelectorAll: 'arraylike-length',
+  getElementsByClassName: 'arraylike-length',
+  getElementsByTagName: 'arraylike-length',
+  getElementsByTagNameNS: 'arraylike-length',
+  getElementsByName: 'arraylike-length',
+};
+
+/**
+ * `fn(...)`. 'argument' means the result is the same kind of collection as
+ * the first argument.
+ */
+export const FUNCTIONS = {
+  structuredClone: 'argument',
+};
+
+/**
+ * Looks up `name` in one of the tables above and checks the call's
+ * argument count against the entry.
+ * @returns {{type: string, nullable?: boolean} | null}
+ */
+export function lookup(table, name, args) {
+  if (!Object.prototype.hasOwnProperty.call(table, name)) return null;
+  const entry = table[name];
+  if (typeof entry === 'string') return { type: entry };
+  if (entry.minArgs !== undefined && args.length < entry.minArgs) return null;
+  if (entry.maxArgs !== undefined && args.length > entry.maxArgs) return null;
+  return entry.nullable
+    ? { type: entry.type, nullable: true }
+    : { type: entry.type };
+}
+
+/**
+ * Looks up `Global.method` in a table of per-global method tables.
+ * @param {object} callee - non-computed MemberExpression
+ */
+export function lookupMethod(table, callee, args) {
+  const global = callee.object.name;
+  if (!global || !Object.prototype.hasOwnProperty.call(table, global)) {
+    return null;
+  }
+  return lookup(table[global], callee.property.name, args);
+}
+
+/**
+ * The kind of a Set/Map-like, weak, unsized, URLSearchParams or indexed collection type such as
+ * `Map` or `NodeList`, for type annotations and the type checker.
+ * @returns {string | null}
+ */
+export function getTypeNameKind(name) {
+  if (SIZED_TYPE_NAMES.includes(name)) return 'sized';
+  if (WEAK_TYPE_NAMES.includes(name)) return 'weak';
+  if (UNSIZED_TYPE_NAMES.includes(name)) return 'unsized';
+  if (name === 'URLSearchParams') return 'search-params';
+  if (LENGTH_TYPE_NAMES.includes(name)) return 'arraylike-length';
+  return null;
+}
@@ -0,0 +1,529 @@
+/**
+ * Collection detection shared by the plugin's rules.
+ *
+ * Recognizes expressions that always evaluate to a fresh array, object or
+ * Set/Map, and follows local variables and class properties back to such
+ * values.
+ *
+ * Collections come in seven kinds: 'array', 'object', 'sized' (Set, Map and
+ * other collections with a `size`), 'weak' (WeakSet and WeakMap, which
+ * can't be measured), 'unsized' (FormData and matchAll() iterators, which
+ * can only be measured by iterating them), 'search-params' (URLSearchParams,
+ * whose `size` is missing before Node.js 19.8) and 'arraylike-length'
+ * (arguments, NodeList, typed arrays and other indexed collections that
+ * aren't arrays).
+ */
+
+import {
+  AWAITED_STATIC_METHODS,
+  CONSTRUCTORS,
+  FUNCTIONS,
+  INSTANCE_METHODS,
+  STATIC_METHODS,
+  lookup,
+  lookupMethod,
+} from './catalog.js';
+import { PRECEDENCE, getOperandText } from './precedence.js';
+
+const NON_COLLECTION_NODES = [
+  'Literal',
+  'TemplateLiteral',
+  'ArrowFunctionExpression',
+  'FunctionExpression',
+  'ClassExpression',
+];
+const SIZED_COLLECTIONS = ['Set', 'Map'];
+const WEAK_COLLECTIONS = ['WeakSet', 'WeakMap'];
+const SIZE_PROPERTIES = {
+  array: 'length',
+  'arraylike-length': 'length',
+  sized: 'size',
+};
+// Nodes that decide what `this` is; arrow functions inherit theirs
+const THIS_OWNER_TYPES = [
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'PropertyDefinition',
+  'StaticBlock',
+];
+// Parents that assign to their `left`
+const ASSIGNING_TYPES = [
+  'AssignmentExpression',
+  'AssignmentPattern',
+  'ForInStatement',
+  'ForOfStatement',
+];
+// Property writes found in each class body, by property key
+const classWrites = new WeakMap();
+
+function fromCatalog(entry, method, confidence) {
+  return entry && { ...entry, confidence, method };
+}
+
+// `JSON.parse('[]')` is known from its argument; anything else only by
+// the `jsonParse` setting
+function analyzeJSONParse(node, settings) {
+  const [argument] = node.arguments;
+  if (argument?.type === 'Literal' && typeof argument.value === 'string') {
+    const text = argument.value.trimStart();
+    if (text.startsWith('[')) {
+      return { type: 'array', confidence: 95, method: 'static' };
+    }
+    if (text.startsWith('{')) {
+      return { type: 'object', confidence: 95, method: 'static' };
+    }
+    return null;
+  }
+  if (settings.jsonParse === 'array' || settings.jsonParse === 'object') {
+    return { type: settings.jsonParse, confidence: 70, method: 'static' };
+  }
+  return null;
+}
+
+function getOnlyArgument(node) {
+  const [argument] = node.arguments;
+  return node.arguments.length === 1 && argument.type !== 'SpreadElement'
+    ? argument
+    : null;
+}
+
+// `new Array(n)` with a single number creates n empty slots; with
+// anything else it is a one-element array
+function isPossiblyNumber(node) {
+  if (node.type === 'Literal') return typeof node.value === 'number';
+  if (node.type === 'TemplateLiteral') return false;
+  return !isNonCollectionValue(node) && !analyzeExpression(node, {});
+}
+
+/**
+ * Collections whose size is fixed by how they are built, so a truthiness
+ * or size check on them almost certainly meant to test something else:
+ * - 'single-element': `[x]`, `Array.of(x)` and `new Set([x])`, with
+ *   `element` set to `x`
+ * - 'sparse': `new Array(n)`, which has length n but no items; `element`
+ *   is `n`
+ * - 'empty': `Array(0)`
+ * - 'single-entry': `Object.fromEntries([[k, v]])`, with `element` set to
+ *   the entry and `value` to `v` when it is written out
+ */
+function getSuspiciousShape(node) {
+  if (node.type === 'ArrayExpression') {
+    const [element] = node.elements;
+    return node.elements.length === 1 &&
+      element &&
+      element.type !== 'SpreadElement' &&
+      !isNonCollectionValue(element)
+      ? { suspicious: 'single-element', element }
+      : null;
+  }
+  const callee = node.callee;
+  if (!callee) return null;
+  if (callee.type === 'Identifier' && callee.name === 'Array') {
+    const count = getOnlyArgument(node);
+    if (!count || !isPossiblyNumber(count)) return null;
+    return count.type === 'Literal' && count.value === 0
+      ? { suspicious: 'empty' }
+      : { suspicious: 'sparse', element: count };
+  }
+  if (
+    node.type !== 'CallExpression' ||
+    callee.type !== 'MemberExpression' ||
+    callee.object.type !== 'Identifier'
+  ) {
+    return null;
+  }
+  const argument = getOnlyArgument(node);
+  if (!argument) return null;
+  const method = `${callee.object.name}.${callee.property.name}`;
+  if (method === 'Array.of') {
+    return { suspicious: 'single-element', element: argument };
+  }
+  if (
+    method === 'Object.fromEntries' &&
+    argument.type === 'ArrayExpression' &&
+    argument.elements.length === 1 &&
+    argument.elements[0]?.type === 'ArrayExpression'
+  ) {
+    const entry = argument.elements[0];
+    return {
+      suspicious: 'single-entry',
+      element: entry,
+      value: entry.elements.length === 2 ? entry.elements[1] : undefined,
+    };
+  }
+  return null;
+}
+
+/**
+ * Analyzes literals, constructor calls and collection-returning calls.
+ * @param {object} node - ESTree expression
+ * @param {{jsonParse?: string}} [settings] - the kind `JSON.parse()` is
+ *   assumed to return, 'array' or 'object'
+ * @returns {{type: string, confidence: number, method: string,
+ *   nullable?: boolean, suspicious?: string} | null} see
+ *   getSuspiciousShape() for `suspicious`
+ */
+export function analyzeCollectionExpression(node, settings = {}) {
+  const analysis = analyzeExpression(node, settings);
+  if (!analysis || analysis.suspicious) return analysis;
+  const shape = getSuspiciousShape(node);
+  return shape ? { ...analysis, ...shape } : analysis;
+}
+
+function analyzeExpression(node, settings) {
+  if (!node) return null;
+  if (node.type === 'ArrayExpression') {
+    return { type: 'array', confidence: 100, method: 'literal' };
+  }
+  if (node.type === 'ObjectExpression') {
+    return { type: 'object', confidence: 100, method: 'literal' };
+  }
+  if (node.type === 'AwaitExpression') {
+    const call = node.argument;
+    if (
+      call?.type !== 'CallExpression' ||
+      call.callee.type !== 'MemberExpression' ||
+      call.callee.computed
+    ) {
+      return null;
+    }
+    return fromCatalog(
+      lookupMethod(AWAITED_STATIC_METHODS, call.callee, call.arguments),
+      'static',
+      95
+    );
+  }
+  if (node.type !== 'NewExpression' && node.type !== 'CallExpression') {
+    return null;
+  }
+
+  const callee = node.callee;
+  if (!callee) return null;
+  if (callee.type === 'Identifier' && WEAK_COLLECTIONS.includes(callee.name)) {
+    return node.arguments.length === 0
+      ? { type: 'weak', confidence: 80, method: 'constructor' }
+      : null;
+  }
+  if (callee.type === 'Identifier' && SIZED_COLLECTIONS.includes(callee.name)) {
+    if (node.arguments.length === 0) {
+      return { type: 'sized', confidence: 80, method: 'constructor' };
+    }
+    if (
+      node.arguments.length === 1 &&
+      node.arguments[0].type === 'ArrayExpression' &&
+      node.arguments[0].elements.length === 1
+    ) {
+      return {
+        type: 'sized',
+        confidence: 90,
+        method: 'constructor',
+        suspicious: 'single-element',
+        element: node.arguments[0].elements[0],
+      };
+    }
+    return null;
+  }
+  if (callee.type === 'Identifier') {
+    const constructed = lookup(CONSTRUCTORS, callee.name, node.arguments);
+    if (constructed) return fromCatalog(constructed, 'constructor', 95);
+    if (node.type === 'NewExpression') return null;
+
+    const called = lookup(FUNCTIONS, callee.name, node.arguments);
+    if (called?.type !== 'argument') return called;
+    const argument = analyzeExpression(node.arguments[0], settings);
+    return argument && { ...argument, confidence: 85, method: 'method' };
+  }
+  if (callee.type !== 'MemberExpression' || callee.computed) return null;
+
+  if (callee.object.type === 'Identifier') {
+    if (callee.object.name === 'JSON' && callee.property.name === 'parse') {
+      return analyzeJSONParse(node, settings);
+    }
+    const analysis = lookupMethod(STATIC_METHODS, callee, node.arguments);
+    if (analysis) return fromCatalog(analysis, 'static', 95);
+  }
+  return fromCatalog(
+    lookup(INSTANCE_METHODS, callee.property.name, node.arguments),
+    'method',
+    85
+  );
+}
+
+/**
+ * Whether the expression creates a collection that is empty by construction:
+ * `[]`, `{}`, `new Array()`, `new Object()`, `new Set()` and friends.
+ */
+export function isEmptyCollectionExpression(node) {
+  if (node.type === 'ArrayExpression') return node.elements.length === 0;
+  if (node.type === 'ObjectExpression') return node.properties.length === 0;
+  return (
+    node.type === 'NewExpression' &&
+    node.arguments.length === 0 &&
+    analyzeCollectionExpression(node) !== null
+  );
+}
+
+export function isNonCollectionValue(node) {
+  return (
+    NON_COLLECTION_NODES.includes(node.type) ||
+    (node.type === 'Identifier' && node.name === 'undefined') ||
+    (node.type === 'UnaryExpression' && node.operator === 'void')
+  );
+}
+
+/**
+ * Resolves a name through the scopes enclosing `node`.
+ * @returns {object | null} the eslint-scope Variable, if declared
+ */
+export function findVariable(context, node, name = node.name) {
+  const sourceCode = context.sourceCode ?? context.getSourceCode();
+  let scope = sourceCode.getScope
+    ? sourceCode.getScope(node)
+    : context.getScope();
+  while (scope) {
+    const variable = scope.set.get(name);
+    if (variable) return variable;
+    scope = scope.upper;
+  }
+  return null;
+}
+
+/**
+ * Follows a local variable to its declaration and every reassignment.
+ * @param {object} [settings] - passed on to analyzeCollectionExpression()
+ * @returns the collection type all writes agree on, null when some write
+ *   stores a non-collection and undefined when nothing can be proven.
+ */
+export function analyzeVariable(
+  context,
+  node,
+  settings = {},
+  seen = new Set()
+) {
+  const variable = findVariable(context, node);
+  if (!variable || seen.has(variable)) return undefined;
+  seen.add(variable);
+  // The implicit `arguments` of a non-arrow function
+  if (
+    variable.name === 'arguments' &&
+    variable.defs.length === 0 &&
+    variable.scope.type === 'function'
+  ) {
+    return { type: 'arraylike-length', confidence: 90, method: 'dataflow' };
+  }
+
+  const def = variable.defs[0];
+  if (
+    variable.defs.length !== 1 ||
+    def.type !== 'Variable' ||
+    def.node.id !== def.name ||
+    !def.node.init
+  ) {
+    return undefined;
+  }
+
+  let type;
+  let nullable = false;
+  for (const reference of variable.references) {
+    if (!reference.isWrite()) continue;
+    const write = reference.writeExpr;
+    const parent = reference.identifier.parent;
+    if (
+      !write ||
+      (parent.type === 'AssignmentExpression' && parent.operator !== '=')
+    ) {
+      return undefined;
+    }
+    if (isNonCollectionValue(write)) return null;
+
+    const analysis =
+      write.type === 'Identifier'
+        ? analyzeVariable(context, write, settings, seen)
+        : analyzeCollectionExpression(write, settings);
+    if (analysis === null && write.type === 'Identifier') return null;
+    if (!analysis) return undefined;
+    if (type && type !== analysis.type) return undefined;
+    type = analysis.type;
+    nullable ||= Boolean(analysis.nullable);
+  }
+  if (!type) return undefined;
+  return nullable
+    ? { type, confidence: 90, method: 'dataflow', nullable }
+    : { type, confidence: 90, method: 'dataflow' };
+}
+
+/**
+ * The class a `this` refers to, in a method, accessor, field initializer or
+ * static block.
+ * @returns {{body: object, static: boolean} | null} the ClassBody, and
+ *   whether `this` is the class itself rather than an instance
+ */
+export function findThisClass(node) {
+  let owner = node.parent;
+  while (owner && !THIS_OWNER_TYPES.includes(owner.type)) {
+    owner = owner.parent;
+  }
+  if (!owner || owner.type === 'FunctionDeclaration') return null;
+  const member = owner.type === 'FunctionExpression' ? owner.parent : owner;
+  if (
+    (owner.type === 'FunctionExpression' &&
+      member.type !== 'MethodDefinition') ||
+    member.parent.type !== 'ClassBody'
+  ) {
+    return null;
+  }
+  return {
+    body: member.parent,
+    static: member.type === 'StaticBlock' || member.static,
+  };
+}
+
+function getPropertyKey(property, isStatic) {
+  const name =
+    property.type === 'PrivateIdentifier' ? `#${property.name}` : property.name;
+  return isStatic ? `static ${name}` : name;
+}
+
+// Field definitions and every write to `this.name` in a class body. A
+// write is the PropertyDefinition, or the expression or pattern that
+// assigns to the property.
+function getClassWrites(sourceCode, classBody) {
+  if (classWrites.has(classBody)) return classWrites.get(classBody);
+  const writes = new Map();
+  const add = (key, writer) => {
+    if (!writes.has(key)) writes.set(key, []);
+    writes.get(key).push(writer);
+  };
+
+  for (const member of classBody.body) {
+    if (
+      member.type === 'PropertyDefinition' &&
+      !member.computed &&
+      member.value
+    ) {
+      add(getPropertyKey(member.key, member.static), member);
+    }
+  }
+
+  const visit = node => {
+    if (
+      node.type === 'MemberExpression' &&
+      node.object.type === 'ThisExpression' &&
+      !node.computed
+    ) {
+      const parent = node.parent;
+      const isWrite =
+        (ASSIGNING_TYPES.includes(parent.type) && parent.left === node) ||
+        parent.type === 'UpdateExpression' ||
+        (parent.type === 'UnaryExpression' && parent.operator === 'delete') ||
+        parent.type === 'ArrayPattern' ||
+        parent.type === 'RestElement' ||
+        (parent.type === 'Property' && parent.parent.type === 'ObjectPattern');
+      const owner = isWrite && findThisClass(node.object);
+      if (owner?.body === classBody) {
+        add(getPropertyKey(node.property, owner.static), parent);
+      }
+    }
+    for (const key of sourceCode.visitorKeys[node.type] || []) {
+      for (const child of [node[key]].flat()) {
+        if (child) visit(child);
+      }
+    }
+  };
+  visit(classBody);
+
+  classWrites.set(classBody, writes);
+  return writes;
+}
+
+/**
+ * Follows `this.name` to the class field initializer and every assignment
+ * to it in the class body. Writes from outside the class can't be seen,
+ * so it scores below local variables.
+ * @param {object} [settings] - passed on to analyzeCollectionExpression()
+ * @returns like analyzeVariable()
+ */
+export function analyzeClassProperty(context, node, settings = {}) {
+  if (node.object.type !== 'ThisExpression' || node.computed) {
+    return undefined;
+  }
+  const owner = findThisClass(node.object);
+  if (!owner) return undefined;
+  const sourceCode = context.sourceCode ?? context.getSourceCode();
+  const writers = getClassWrites(sourceCode, owner.body).get(
+    getPropertyKey(node.property, owner.static)
+  );
+  if (!writers) return undefined;
+
+  let type;
+  let nullable = false;
+  for (const writer of writers) {
+    // `delete this.items` and `this.count++` leave a non-collection behind
+    if (
+      writer.type === 'UnaryExpression' ||
+      writer.type === 'UpdateExpression'
+    ) {
+      return null;
+    }
+    const isAssignment =
+      writer.type === 'PropertyDefinition' ||
+      (writer.type === 'AssignmentExpression' && writer.operator === '=');
+    if (!isAssignment) return undefined;
+    const write =
+      writer.type === 'PropertyDefinition' ? writer.value : writer.right;
+    if (isNonCollectionValue(write)) return null;
+
+    const analysis =
+      write.type === 'Identifier'
+        ? analyzeVariable(context, write, settings)
+        : analyzeCollectionExpression(write, settings);
+    if (analysis === null && write.type === 'Identifier') return null;
+    if (!analysis) return undefined;
+    if (type && type !== analysis.type) return undefined;
+    type = analysis.type;
+    nullable ||= Boolean(analysis.nullable);
+  }
+  if (!type) return undefined;
+  return nullable
+    ? { type, confidence: 80, method: 'dataflow', nullable }
+    : { type, confidence: 80, method: 'dataflow' };
+}
+
+/**
+ * Like getSizeExpression(), for a node whose source may need parentheses,
+ * e.g. `(a ?? b).length`.
+ */
+export function getSizeExpressionFor(sourceCode, node, type) {
+  const minPrecedence =
+    type === 'object' ? PRECEDENCE.ASSIGNMENT : PRECEDENCE.CALL;
+  return getSizeExpression(
+    getOperandText(sourceCode, node, minPrecedence),
+    type
+  );
+}
+
+/**
+ * The property that measures a collection of the given kind, or null for
+ * objects, weak, unsized and URLSearchParams collections.
+ */
+export function getSizeProperty(type) {
+  return SIZE_PROPERTIES[type] ?? null;
+}
+
+/** Whether a collection of the given kind can be checked for emptiness. */
+export function isMeasurable(type) {
+  return (
+    type === 'object' ||
+    Object.prototype.hasOwnProperty.call(SIZE_PROPERTIES, type)
+  );
+}
+
+/**
+ * Builds the expression that measures a collection, e.g. `items.length`.
+ * @param {string} text - source of the collection expression
+ * @param {string} type - a kind for which isMeasurable() holds
+ */
+export function getSizeExpression(text, type) {
+  if (type === 'object') return `Object.keys(${text}).length`;
+  return `${text}.${getSizeProperty(type)}`;
+}
@@ -0,0 +1,318 @@
+/**
+ * Narrowing from earlier checks on the same variable. After
+ * `if (items.length === 0) return;`, or inside `if (Array.isArray(x))`,
+ * the variable is known to be a collection that isn't null or undefined,
+ * so testing its truthiness has no effect.
+ *
+ * Guards come from the conditions a node is only reached through: the test
+ * of an enclosing `if`, `?:` or loop, the left operand of an enclosing
+ * `&&` or `||`, and earlier `if` statements in an enclosing block whose
+ * branch can't complete, as told by code path analysis.
+ */
+
+import { findVariable } from './collections.js';
+
+const SIZE_PROPERTIES = ['length', 'size'];
+const STATEMENT_LISTS = {
+  Program: 'body',
+  BlockStatement: 'body',
+  StaticBlock: 'body',
+  SwitchCase: 'consequent',
+};
+const NEGATED_COMPARISONS = ['!=', '!=='];
+const JUMP_STATEMENTS = [
+  'ReturnStatement',
+  'ThrowStatement',
+  'BreakStatement',
+  'ContinueStatement',
+];
+
+function isGlobalCall(node, object, method) {
+  const callee = node.callee;
+  return (
+    node.type === 'CallExpression' &&
+    callee.type === 'MemberExpression' &&
+    !callee.computed &&
+    callee.object.type === 'Identifier' &&
+    callee.object.name === object &&
+    callee.property.name === method &&
+    node.arguments.length === 1
+  );
+}
+
+function isNullish(node) {
+  return (
+    (node.type === 'Literal' && node.value === null && !node.regex) ||
+    (node.type === 'Identifier' && node.name === 'undefined')
+  );
+}
+
+/**
+ * `x.length`, `x?.size` or `Object.keys(x).length`.
+ * @returns {{identifier: object, optional: boolean} | null} the measured
+ *   variable, and whether the read is skipped when it is nullish
+ */
+function getSizeRead(node) {
+  const member = node.type === 'ChainExpression' ? node.expression : node;
+  if (
+    member.type !== 'MemberExpression' ||
+    member.computed ||
+    !SIZE_PROPERTIES.includes(member.property.name)
+  ) {
+    return null;
+  }
+  let object = member.object;
+  if (
+    member.property.name === 'length' &&
+    isGlobalCall(object, 'Object', 'keys')
+  ) {
+    object = object.arguments[0];
+  }
+  return object.type === 'Identifier'
+    ? { identifier: object, optional: member.optional }
+    : null;
+}
+
+/**
+ * Collects what `test` evaluating to `outcome` proves about variables.
+ * @param {boolean | null} outcome - null when the outcome is unknown, in
+ *   which case only reads that would have thrown on null count
+ * @param {{identifier: object, guard: object, isArray: boolean}[]} guards
+ */
+function collectGuards(test, outcome, guards) {
+  switch (test.type) {
+    case 'UnaryExpression':
+      if (test.operator === '!') {
+        collectGuards(
+          test.argument,
+          outcome === null ? null : !outcome,
+          guards
+        );
+      }
+      return;
+    case 'LogicalExpression': {
+      // The right operand only runs, and only decides the outcome, when
+      // the left one is truthy for `&&` and falsy for `||`
+      const decisive = { '&&': true, '||': false }[test.operator];
+      const leftOutcome = outcome === decisive ? outcome : null;
+      collectGuards(test.left, leftOutcome, guards);
+      if (decisive !== undefined && outcome === decisive) {
+        collectGuards(test.right, outcome, guards);
+      }
+      return;
+    }
+    case 'CallExpression':
+      if (
+        outcome === true &&
+        isGlobalCall(test, 'Array', 'isArray') &&
+        test.arguments[0].type === 'Identifier'
+      ) {
+        guards.push({
+          identifier: test.arguments[0],
+          guard: test,
+          isArray: true,
+        });
+      }
+      return;
+    case 'BinaryExpression':
+      for (const [side, other] of [
+        [test.left, test.right],
+        [test.right, test.left],
+      ]) {
+        const read = getSizeRead(side);
+        if (!read || isNullish(other)) continue;
+        // `undefined > 0` and `undefined === 0` are false, while
+        // `undefined !== 0` is true
+        const whenUndefined = NEGATED_COMPARISONS.includes(test.operator);
+        if (!read.optional || outcome === !whenUndefined) {
+          guards.push({ identifier: read.identifier, guard: test });
+        }
+      }
+      return;
+    default: {
+      const read = getSizeRead(test);
+      if (read && (!read.optional || outcome === true)) {
+        guards.push({ identifier: read.identifier, guard: test });
+      }
+    }
+  }
+}
+
+/**
+ * Returns code path listeners to add to a rule, and lookups for the
+ * guards that apply to a node.
+ * @param {object} context - ESLint rule context
+ */
+export function createGuardTracker(context) {
+  const sourceCode = context.sourceCode ?? context.getSourceCode();
+  // Segments being traversed in each function, innermost first
+  let codePath = null;
+  // `if` statements whose branches can't complete, by branch name
+  const exits = new WeakMap();
+
+  // Code path analysis only moves on to unreachable segments after a jump
+  // statement has been left, so a bare `return` is recognized by its type
+  function canComplete(node) {
+    return (
+      !JUMP_STATEMENTS.includes(node.type) &&
+      [...codePath.segments].some(segment => segment.reachable)
+    );
+  }
+
+  function recordExit(branch) {
+    return node => {
+      if (canComplete(node)) return;
+      const branches = exits.get(node.parent) ?? {};
+      branches[branch] = true;
+      exits.set(node.parent, branches);
+    };
+  }
+
+  // Guards that hold in `child`, from its place in `parent`
+  function getGuards(child, parent) {
+    const guards = [];
+    switch (parent.type) {
+      case 'IfStatement':
+      case 'ConditionalExpression':
+        if (child === parent.consequent) {
+          collectGuards(parent.test, true, guards);
+        } else if (child === parent.alternate) {
+          collectGuards(parent.test, false, guards);
+        }
+        break;
+      case 'WhileStatement':
+      case 'ForStatement':
+        if (child === parent.body && parent.test) {
+          collectGuards(parent.test, true, guards);
+        }
+        break;
+      case 'LogicalExpression':
+        if (child === parent.right && parent.operator !== '??') {
+          collectGuards(parent.left, parent.operator === '&&', guards);
+        }
+        break;
+      default: {
+        const key = STATEMENT_LISTS[parent.type];
+        if (!key) break;
+        const statements = parent[key];
+        const earlier = statements.slice(0, statements.indexOf(child));
+        for (const statement of earlier.reverse()) {
+          const branches = exits.get(statement);
+          if (branches?.consequent) {
+            collectGuards(statement.test, false, guards);
+          }
+          if (branches?.alternate) collectGuards(statement.test, true, guards);
+        }
+      }
+    }
+    return guards;
+  }
+
+  // Guards only carry over to variables that are never reassigned
+  function findConstantVariable(node) {
+    if (node.type !== 'Identifier') return null;
+    const variable = findVariable(context, node);
+    if (
+      !variable ||
+      variable.defs.length === 0 ||
+      variable.references.some(
+        reference => reference.isWrite() && !reference.init
+      )
+    ) {
+      return null;
+    }
+    return variable;
+  }
+
+  function isSameVariable(identifier, variable) {
+    return (
+      identifier.name === variable.name &&
+      findVariable(context, identifier) === variable
+    );
+  }
+
+  /**
+   * The nearest earlier check showing that `node` isn't null or undefined.
+   * @returns {{guard: object, isArray?: boolean} | null} the checking
+   *   expression, and whether it also showed the value is an array
+   */
+  function findGuard(node) {
+    const variable = findConstantVariable(node);
+    if (!variable) return null;
+    // Function declarations are hoisted, so they may run before any check
+    // around them
+    for (
+      let child = node, parent = node.parent;
+      parent && child.type !== 'FunctionDeclaration';
+      child = parent, parent = parent.parent
+    ) {
+      const match = getGuards(child, parent).find(({ identifier }) =>
+        isSameVariable(identifier, variable)
+      );
+      if (match) return match;
+    }
+    return null;
+  }
+
+  function containsSizeRead(node, variable) {
+    const read = getSizeRead(node);
+    if (read && isSameVariable(read.identifier, variable)) return true;
+    return (sourceCode.visitorKeys[node.type] || []).some(key =>
+      [node[key]]
+        .flat()
+        .some(child => child && containsSizeRead(child, variable))
+    );
+  }
+
+  /**
+   * Whether `node` is tested for null right before its size is read, as in
+   * `items && items.length !== 0` or `!items || items.length === 0`.
+   */
+  function isNullCheckBeforeSize(node) {
+    const variable = findConstantVariable(node);
+    if (!variable) return false;
+    const negated =
+      node.parent.type === 'UnaryExpression' && node.parent.operator === '!';
+    const operator = negated ? '||' : '&&';
+    let current = negated ? node.parent : node;
+    while (
+      current.parent.type === 'LogicalExpression' &&
+      current.parent.operator === operator
+    ) {
+      const logical = current.parent;
+      if (
+        logical.left === current &&
+        containsSizeRead(logical.right, variable)
+      ) {
+        return true;
+      }
+      current = logical;
+    }
+    return false;
+  }
+
+  const listeners = {
+    onCodePathStart() {
+      codePath = { upper: codePath, segments: new Set() };
+    },
+    onCodePathEnd() {
+      codePath = codePath.upper;
+    },
+    onCodePathSegmentStart(segment) {
+      codePath.segments.add(segment);
+    },
+    onCodePathSegmentEnd(segment) {
+      codePath.segments.delete(segment);
+    },
+    onUnreachableCodePathSegmentStart(segment) {
+      codePath.segments.add(segment);
+    },
+    onUnreachableCodePathSegmentEnd(segment) {
+      codePath.segments.delete(segment);
+    },
+    'IfStatement > .consequent:exit': recordExit('consequent'),
+    'IfStatement > .alternate:exit': recordExit('alternate'),
+  };
+
+  return { listeners, findGuard, isNullCheckBeforeSize };
+}
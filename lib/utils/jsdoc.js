@@ -0,0 +1,357 @@
+/**
+ * Collection detection backed by JSDoc annotations, for plain JavaScript
+ * files without type information.
+ *
+ * Reads `@type` on variables and class fields, `@param` on parameters and
+ * `@returns` on in-file functions, methods and getters.
+ */
+
+import { getTypeNameKind } from './catalog.js';
+import { findThisClass, findVariable } from './collections.js';
+
+const ARRAY_TYPE_NAMES = ['Array', 'ReadonlyArray'];
+const OBJECT_TYPE_NAMES = ['Object', 'Record'];
+const NULLISH_TYPE_NAMES = ['null', 'undefined', 'void'];
+const UNKNOWN_TYPE_NAMES = ['*', '?', 'any', 'unknown', 'Object', 'object'];
+const NON_COLLECTION_TYPE_NAMES = [
+  'string',
+  'number',
+  'boolean',
+  'bigint',
+  'symbol',
+  'true',
+  'false',
+  'never',
+  'function',
+  'Function',
+  'String',
+  'Number',
+  'Boolean',
+  'Symbol',
+  'BigInt',
+  'Date',
+  'RegExp',
+  'Error',
+  'Promise',
+];
+const FUNCTION_EXPRESSION_TYPES = [
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+];
+// Generous enough for typedefs of typedefs, low enough to stop cycles
+const MAX_TYPEDEF_DEPTH = 5;
+
+// Splits `text` on `separator` outside brackets and string literals
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if ('<([{'.includes(char)) {
+      depth++;
+    } else if ('>)]}'.includes(char) && text[i - 1] !== '=') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim());
+}
+
+// Reads the `{...}` type expression starting at `start`, which may nest braces
+function readBracedType(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) {
+      return { type: text.slice(start + 1, i).trim(), end: i + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the tags named `names` in a JSDoc comment.
+ * @returns {{type: string, name: string, optional: boolean}[]} each tag's
+ *   type expression, the word following it (the parameter or typedef name)
+ *   and whether that word is in brackets, as in `@param {T} [name]`
+ */
+function readTags(comment, names) {
+  const tags = [];
+  const tagPattern = /@(\w+)\s*(?=\{)/g;
+  let match;
+  while ((match = tagPattern.exec(comment))) {
+    const braced = readBracedType(comment, tagPattern.lastIndex);
+    if (!braced) break;
+    tagPattern.lastIndex = braced.end;
+    if (!names.includes(match[1])) continue;
+    const name = /^\s*\[?\s*([\w$.]*)/.exec(comment.slice(braced.end))[1];
+    const optional = /^\s*\[/.test(comment.slice(braced.end));
+    tags.push({ type: braced.type, name, optional });
+  }
+  return tags;
+}
+
+// The node a JSDoc block is written above, e.g. the `export const` statement
+// rather than the declarator inside it
+function getCommentedNode(node) {
+  let target = node;
+  if (target.type === 'VariableDeclarator') {
+    if (target.parent.declarations.length !== 1) return null;
+    target = target.parent;
+  } else if (
+    target.type === 'FunctionExpression' ||
+    target.type === 'ArrowFunctionExpression'
+  ) {
+    const parent = target.parent;
+    if (parent.type === 'VariableDeclarator' && parent.init === target) {
+      return getCommentedNode(parent);
+    }
+    if (
+      ['MethodDefinition', 'Property', 'PropertyDefinition'].includes(
+        parent.type
+      ) &&
+      parent.value === target
+    ) {
+      target = parent;
+    }
+  }
+  if (
+    target.parent?.type === 'ExportNamedDeclaration' ||
+    target.parent?.type === 'ExportDefaultDeclaration'
+  ) {
+    target = target.parent;
+  }
+  return target;
+}
+
+/**
+ * Returns a function that resolves a node's collection type from the JSDoc
+ * annotations in the linted file.
+ * @param {object} context - ESLint rule context
+ */
+export function createJSDocAnalyzer(context) {
+  const sourceCode = context.sourceCode ?? context.getSourceCode();
+  let typedefs = null;
+
+  function getTypedefs() {
+    if (typedefs) return typedefs;
+    typedefs = new Map();
+    for (const comment of sourceCode.getAllComments()) {
+      if (comment.type !== 'Block' || !comment.value.startsWith('*')) continue;
+      for (const tag of readTags(comment.value, ['typedef'])) {
+        if (tag.name) typedefs.set(tag.name, tag.type);
+      }
+    }
+    return typedefs;
+  }
+
+  function getJSDoc(node) {
+    const target = getCommentedNode(node);
+    if (!target) return null;
+    const comments = sourceCode.getCommentsBefore(target);
+    const comment = comments[comments.length - 1];
+    return comment?.type === 'Block' && comment.value.startsWith('*')
+      ? comment.value
+      : null;
+  }
+
+  // Returns the collection type of a JSDoc type expression, null for a
+  // non-collection type and undefined when it can't tell. Nullish union
+  // members are noted in `result.nullable` rather than classified.
+  function classify(text, result, depth = 0) {
+    let type = text.trim();
+    while (type.startsWith('(') && type.endsWith(')')) {
+      type = type.slice(1, -1).trim();
+    }
+    if (type.startsWith('?') && type.length > 1) {
+      result.nullable = true;
+      type = type.slice(1);
+    } else if (type.startsWith('!')) {
+      type = type.slice(1);
+    }
+    if (type.endsWith('=')) {
+      result.nullable = true;
+      type = type.slice(0, -1);
+    }
+
+    const members = splitTopLevel(type, '|');
+    if (members.length > 1) {
+      const defined = members.filter(member => {
+        if (!NULLISH_TYPE_NAMES.includes(member)) return true;
+        result.nullable = true;
+        return false;
+      });
+      if (defined.length === 0) return null;
+      const kinds = defined.map(member => classify(member, result, depth));
+      if (kinds.includes(undefined)) return undefined;
+      return kinds.every(kind => kind && kind === kinds[0]) ? kinds[0] : null;
+    }
+
+    if (NULLISH_TYPE_NAMES.includes(type)) return null;
+    if (UNKNOWN_TYPE_NAMES.includes(type)) return undefined;
+    if (type.endsWith('[]') || type.startsWith('[')) return 'array';
+    if (type.startsWith('{')) {
+      // `{}` also accepts primitives
+      return /^\{\s*\}$/.test(type) ? null : 'object';
+    }
+    if (/^function\b/.test(type) || /^\(.*\)\s*=>/.test(type)) return null;
+    if (/^["'\d-]/.test(type)) return null;
+
+    const name = /^[\w$.]+?(?=\.?<|$)/.exec(type)?.[0];
+    if (!name) return undefined;
+    if (ARRAY_TYPE_NAMES.includes(name)) return 'array';
+    const kind = getTypeNameKind(name);
+    if (kind) return kind;
+    // `Object<string, T>` and `Record<K, V>`; a bare `Object` is used as
+    // loosely as `any` and was handled above
+    if (OBJECT_TYPE_NAMES.includes(name)) return 'object';
+    if (NON_COLLECTION_TYPE_NAMES.includes(name)) return null;
+
+    const typedef = getTypedefs().get(name);
+    if (typedef === undefined || depth >= MAX_TYPEDEF_DEPTH) return undefined;
+    // `@typedef {Object} User` followed by `@property` tags declares a shape
+    if (typedef === 'Object' || typedef === 'object') return 'object';
+    return classify(typedef, result, depth + 1);
+  }
+
+  function fromTag(jsdoc, names, name) {
+    if (!jsdoc) return undefined;
+    const tag = readTags(jsdoc, names).find(
+      candidate => name === undefined || candidate.name === name
+    );
+    if (!tag) return undefined;
+    const result = { nullable: tag.optional };
+    const type = classify(tag.type, result);
+    if (!type) return type;
+    return {
+      type,
+      confidence: 85,
+      method: 'jsdoc',
+      nullable: result.nullable,
+    };
+  }
+
+  function getReturnType(fn) {
+    return fromTag(getJSDoc(fn), ['returns', 'return']);
+  }
+
+  // Resolves `this.name` to the member of the enclosing class
+  function findClassMember(node) {
+    if (
+      node.object.type !== 'ThisExpression' ||
+      node.computed ||
+      node.property.type !== 'Identifier'
+    ) {
+      return null;
+    }
+    const owner = findThisClass(node.object);
+    if (!owner) return null;
+    return (
+      owner.body.body.find(
+        candidate =>
+          ['MethodDefinition', 'PropertyDefinition'].includes(candidate.type) &&
+          !candidate.computed &&
+          candidate.static === owner.static &&
+          candidate.key.name === node.property.name
+      ) || null
+    );
+  }
+
+  function analyzeMember(node, called) {
+    const member = findClassMember(node);
+    if (!member) return undefined;
+    if (member.type === 'PropertyDefinition') {
+      return called ? undefined : fromTag(getJSDoc(member), ['type']);
+    }
+    if (member.kind === (called ? 'method' : 'get')) {
+      return getReturnType(member.value);
+    }
+    return undefined;
+  }
+
+  function analyzeIdentifier(node, seen) {
+    const variable = findVariable(context, node);
+    if (!variable || variable.defs.length !== 1 || seen.has(variable)) {
+      return undefined;
+    }
+    seen.add(variable);
+    const def = variable.defs[0];
+
+    if (def.type === 'Parameter') {
+      const param =
+        def.name.parent.type === 'AssignmentPattern'
+          ? def.name.parent
+          : def.name;
+      if (!def.node.params.includes(param)) return undefined;
+      const analysis = fromTag(
+        getJSDoc(def.node),
+        ['param', 'arg', 'argument'],
+        def.name.name
+      );
+      // A default value covers the `undefined` an optional parameter allows
+      if (analysis && param.type === 'AssignmentPattern') {
+        analysis.nullable = false;
+      }
+      return analysis;
+    }
+
+    if (def.type !== 'Variable' || def.node.id !== def.name) return undefined;
+    const declared = fromTag(getJSDoc(def.node), ['type']);
+    if (declared !== undefined) return declared;
+
+    // Without an annotation, follow a single assignment to a documented
+    // call or variable, as type inference would
+    const init = def.node.init;
+    const writes = variable.references.filter(reference => reference.isWrite());
+    if (!init || writes.length !== 1) return undefined;
+    return analyze(init, seen);
+  }
+
+  function analyzeCall(node) {
+    const callee = node.callee;
+    if (callee.type === 'MemberExpression') return analyzeMember(callee, true);
+    if (callee.type !== 'Identifier') return undefined;
+    const variable = findVariable(context, callee);
+    if (!variable || variable.defs.length !== 1) return undefined;
+    const def = variable.defs[0];
+    if (def.type === 'FunctionName') return getReturnType(def.node);
+    if (
+      def.type === 'Variable' &&
+      def.node.id === def.name &&
+      FUNCTION_EXPRESSION_TYPES.includes(def.node.init?.type)
+    ) {
+      return getReturnType(def.node.init);
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {object} node - ESTree expression
+   * @returns the collection analysis, null for a documented non-collection
+   *   and undefined when nothing is documented
+   */
+  function analyze(node, seen = new Set()) {
+    switch (node.type) {
+      case 'Identifier':
+        return analyzeIdentifier(node, seen);
+      case 'CallExpression':
+        return analyzeCall(node);
+      case 'MemberExpression':
+        return analyzeMember(node, false);
+      default:
+        return undefined;
+    }
+  }
+
+  return analyze;
+}
@@ -0,0 +1,219 @@
+/**
+ * Collection detection across relative imports, for constants shared
+ * through modules such as `export const ROLES = []`.
+ *
+ * The imported module is parsed with the linted file's parser and only its
+ * exported `const` bindings initialized with a collection literal or
+ * constructor are used. Parsed modules are cached by path and reloaded when
+ * the file changes.
+ */
+
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { analyzeCollectionExpression, findVariable } from './collections.js';
+
+const EXTENSIONS = [
+  '.js',
+  '.mjs',
+  '.cjs',
+  '.jsx',
+  '.ts',
+  '.mts',
+  '.cts',
+  '.tsx',
+];
+// TypeScript sources are imported by the name of their build output
+const SOURCE_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+  '.jsx': ['.tsx'],
+};
+const FRESH_METHODS = ['literal', 'constructor'];
+
+// Absolute path -> { mtimeMs, exports }
+const moduleCache = new Map();
+const require = createRequire(import.meta.url);
+
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function resolveModule(fromFile, specifier) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) return null;
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const extension = path.extname(base);
+  const candidates = [
+    base,
+    ...(SOURCE_EXTENSIONS[extension] || []).map(
+      source => base.slice(0, -extension.length) + source
+    ),
+    ...EXTENSIONS.map(candidate => base + candidate),
+    ...EXTENSIONS.map(candidate => path.join(base, `index${candidate}`)),
+  ];
+  return candidates.find(isFile) || null;
+}
+
+function getName(node) {
+  return node.type === 'Identifier' ? node.name : node.value;
+}
+
+// Collection kind of every exported binding that is a fresh collection
+function collectExports(ast) {
+  const declarations = new Map();
+  for (const statement of ast.body) {
+    const declaration =
+      statement.type === 'ExportNamedDeclaration'
+        ? statement.declaration
+        : statement;
+    if (declaration?.type !== 'VariableDeclaration') continue;
+    if (declaration.kind !== 'const') continue;
+    for (const declarator of declaration.declarations) {
+      if (declarator.id.type === 'Identifier' && declarator.init) {
+        declarations.set(declarator.id.name, declarator.init);
+      }
+    }
+  }
+
+  const exports = new Map();
+  const add = (exported, init) => {
+    const analysis = init && analyzeCollectionExpression(init);
+    if (analysis && FRESH_METHODS.includes(analysis.method)) {
+      exports.set(exported, analysis.type);
+    }
+  };
+  for (const statement of ast.body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      const value = statement.declaration;
+      add(
+        'default',
+        value.type === 'Identifier' ? declarations.get(value.name) : value
+      );
+    }
+    if (statement.type !== 'ExportNamedDeclaration' || statement.source) {
+      continue;
+    }
+    if (statement.declaration?.type === 'VariableDeclaration') {
+      for (const declarator of statement.declaration.declarations) {
+        if (declarator.id.type === 'Identifier') {
+          add(declarator.id.name, declarations.get(declarator.id.name));
+        }
+      }
+    }
+    for (const specifier of statement.specifiers) {
+      add(
+        getName(specifier.exported),
+        declarations.get(getName(specifier.local))
+      );
+    }
+  }
+  return exports;
+}
+
+// Flat config passes the parser object; eslintrc only its path
+function getParser(context) {
+  if (context.languageOptions?.parser) {
+    return {
+      parser: context.languageOptions.parser,
+      parserOptions: context.languageOptions.parserOptions,
+    };
+  }
+  return {
+    parser: require(context.parserPath),
+    parserOptions: context.parserOptions,
+  };
+}
+
+function parseModule(context, file) {
+  const { parser, parserOptions } = getParser(context);
+  const text = fs.readFileSync(file, 'utf8');
+  const options = {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    ecmaFeatures: { jsx: parserOptions?.ecmaFeatures?.jsx },
+    filePath: file,
+    range: true,
+    loc: true,
+  };
+  return parser.parseForESLint
+    ? parser.parseForESLint(text, options).ast
+    : parser.parse(text, options);
+}
+
+function getModuleExports(context, file) {
+  const { mtimeMs } = fs.statSync(file);
+  const cached = moduleCache.get(file);
+  if (cached?.mtimeMs === mtimeMs) return cached.exports;
+  let exports;
+  try {
+    exports = collectExports(parseModule(context, file));
+  } catch {
+    // A module the parser can't read has no known exports
+    exports = new Map();
+  }
+  moduleCache.set(file, { mtimeMs, exports });
+  return exports;
+}
+
+// The module and export name an import binding refers to
+function getImportedBinding(context, identifier) {
+  const variable = findVariable(context, identifier);
+  const def = variable?.defs[0];
+  // `import x = require('./x')` in TypeScript binds an import too
+  if (
+    def?.type !== 'ImportBinding' ||
+    def.parent.type !== 'ImportDeclaration'
+  ) {
+    return null;
+  }
+  const declaration = def.parent;
+  if (declaration.importKind === 'type' || def.node.importKind === 'type') {
+    return null;
+  }
+  const cwd = context.cwd ?? context.getCwd?.() ?? process.cwd();
+  const filename = path.resolve(cwd, context.filename ?? context.getFilename());
+  const file = resolveModule(filename, declaration.source.value);
+  if (!file) return null;
+  switch (def.node.type) {
+    case 'ImportDefaultSpecifier':
+      return { file, name: 'default' };
+    case 'ImportSpecifier':
+      return { file, name: getName(def.node.imported) };
+    default:
+      return { file, name: null };
+  }
+}
+
+/**
+ * Resolves an imported binding (`ROLES` after
+ * `import { ROLES } from './constants.js'`) or a namespace member
+ * (`constants.ROLES`) to the exported collection it refers to.
+ * @param {object} context - ESLint rule context
+ * @returns the collection analysis, or null when it isn't known to be one
+ */
+export function analyzeImport(context, node) {
+  let identifier = node;
+  let member = null;
+  if (
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier'
+  ) {
+    identifier = node.object;
+    member = node.property.name;
+  }
+  if (identifier.type !== 'Identifier') return null;
+  const binding = getImportedBinding(context, identifier);
+  // Namespace imports are only followed through a member, and named ones
+  // only on their own
+  if (!binding || (binding.name === null) !== (member !== null)) return null;
+  const type = getModuleExports(context, binding.file).get(
+    binding.name ?? member
+  );
+  return type ? { type, confidence: 90, method: 'dataflow' } : null;
+}
@@ -0,0 +1,276 @@
+/**
+ * Operator precedence for ESTree expressions, used to decide when generated
+ * code has to be parenthesized to keep its meaning where it is inserted.
+ *
+ * Levels follow the ECMAScript grammar, from 0 (sequence) to 20 (primary
+ * expressions).
+ */
+
+export const PRECEDENCE = {
+  SEQUENCE: 0,
+  ASSIGNMENT: 1,
+  CONDITIONAL: 3,
+  OR: 4,
+  AND: 5,
+  EQUALITY: 9,
+  RELATIONAL: 10,
+  UNARY: 16,
+  POSTFIX: 17,
+  CALL: 18,
+  NEW: 19,
+  PRIMARY: 20,
+};
+
+const BINARY_PRECEDENCE = {
+  '??': 4,
+  '||': 4,
+  '&&': 5,
+  '|': 6,
+  '^': 7,
+  '&': 8,
+  '==': 9,
+  '!=': 9,
+  '===': 9,
+  '!==': 9,
+  '<': 10,
+  '<=': 10,
+  '>': 10,
+  '>=': 10,
+  in: 10,
+  instanceof: 10,
+  '<<': 11,
+  '>>': 11,
+  '>>>': 11,
+  '+': 12,
+  '-': 12,
+  '*': 13,
+  '/': 13,
+  '%': 13,
+  '**': 15,
+};
+
+/**
+ * @param {object} node - ESTree expression
+ * @returns {number} the precedence level of the node's outermost operator
+ */
+export function getPrecedence(node) {
+  switch (node.type) {
+    case 'SequenceExpression':
+      return PRECEDENCE.SEQUENCE;
+    case 'AssignmentExpression':
+    case 'ArrowFunctionExpression':
+    case 'YieldExpression':
+      return PRECEDENCE.ASSIGNMENT;
+    case 'ConditionalExpression':
+      return PRECEDENCE.CONDITIONAL;
+    case 'LogicalExpression':
+    case 'BinaryExpression':
+      return BINARY_PRECEDENCE[node.operator];
+    // `x as T` and `x satisfies T` bind like relational operators
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+      return BINARY_PRECEDENCE.instanceof;
+    case 'UnaryExpression':
+    case 'AwaitExpression':
+    case 'TSTypeAssertion':
+      return PRECEDENCE.UNARY;
+    case 'UpdateExpression':
+      return node.prefix ? PRECEDENCE.UNARY : PRECEDENCE.POSTFIX;
+    case 'CallExpression':
+    case 'ChainExpression':
+    case 'ImportExpression':
+    case 'TaggedTemplateExpression':
+      return PRECEDENCE.CALL;
+    case 'NewExpression':
+      return PRECEDENCE.NEW;
+    default:
+      return PRECEDENCE.PRIMARY;
+  }
+}
+
+/**
+ * The lowest precedence an expression may have to replace `node` without
+ * parentheses, given where `node` sits in its parent.
+ */
+export function getRequiredPrecedence(node) {
+  const parent = node.parent;
+  switch (parent?.type) {
+    case 'UnaryExpression':
+    case 'AwaitExpression':
+      return PRECEDENCE.UNARY;
+    case 'UpdateExpression':
+      return PRECEDENCE.POSTFIX;
+    case 'BinaryExpression':
+    case 'LogicalExpression': {
+      const precedence = BINARY_PRECEDENCE[parent.operator];
+      // `??` can't be mixed with `||` or `&&` without parentheses
+      if (parent.operator === '??') return BINARY_PRECEDENCE['&&'] + 1;
+      // `**` is right-associative, and a unary left operand is an error
+      if (parent.operator === '**') {
+        return parent.left === node ? PRECEDENCE.POSTFIX : precedence;
+      }
+      return parent.left === node ? precedence : precedence + 1;
+    }
+    case 'ConditionalExpression':
+      return parent.test === node
+        ? PRECEDENCE.CONDITIONAL + 1
+        : PRECEDENCE.ASSIGNMENT;
+    case 'MemberExpression':
+      return parent.object === node ? PRECEDENCE.CALL : PRECEDENCE.SEQUENCE;
+    case 'CallExpression':
+      return parent.callee === node ? PRECEDENCE.CALL : PRECEDENCE.ASSIGNMENT;
+    case 'NewExpression':
+      return parent.callee === node ? PRECEDENCE.NEW : PRECEDENCE.ASSIGNMENT;
+    case 'TaggedTemplateExpression':
+      return parent.tag === node ? PRECEDENCE.CALL : PRECEDENCE.SEQUENCE;
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+      return BINARY_PRECEDENCE.instanceof + 1;
+    case 'TSNonNullExpression':
+      return PRECEDENCE.CALL;
+    case 'ExpressionStatement':
+    case 'IfStatement':
+    case 'WhileStatement':
+    case 'DoWhileStatement':
+    case 'SwitchStatement':
+    case 'SwitchCase':
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+    case 'TemplateLiteral':
+      return PRECEDENCE.SEQUENCE;
+    case 'ForStatement':
+      return parent.init === node ? PRECEDENCE.ASSIGNMENT : PRECEDENCE.SEQUENCE;
+    default:
+      return PRECEDENCE.ASSIGNMENT;
+  }
+}
+
+/**
+ * Whether `node` is wrapped in its own parentheses (or sits alone between a
+ * parent's parentheses, as in `if (x)` or `f(x)`).
+ */
+export function isParenthesized(sourceCode, node) {
+  const before = sourceCode.getTokenBefore(node);
+  const after = sourceCode.getTokenAfter(node);
+  return before?.value === '(' && after?.value === ')';
+}
+
+/**
+ * Wraps `text` in parentheses if it can't replace `node` as-is.
+ * @param {number} precedence - precedence of the outermost operator in `text`
+ */
+export function parenthesizeFor(sourceCode, node, text, precedence) {
+  if (
+    precedence < getRequiredPrecedence(node) &&
+    !isParenthesized(sourceCode, node)
+  ) {
+    return `(${text})`;
+  }
+  return text;
+}
+
+// `new Foo` without an argument list would swallow a following `.length`,
+// `1.length` is a syntax error and `<a />.length` reads poorly
+function isUnsafeMemberObject(sourceCode, node) {
+  if (node.type === 'NewExpression') {
+    return sourceCode.getLastToken(node).value !== ')';
+  }
+  return (
+    (node.type === 'Literal' && typeof node.value === 'number') ||
+    node.type === 'JSXElement' ||
+    node.type === 'JSXFragment'
+  );
+}
+
+/**
+ * Source text of `node`, parenthesized if needed to be used as an operand
+ * that requires `minPrecedence`, e.g. PRECEDENCE.CALL for `(x).length` or
+ * PRECEDENCE.ASSIGNMENT for a call argument.
+ */
+export function getOperandText(sourceCode, node, minPrecedence) {
+  const text = sourceCode.getText(node);
+  if (
+    getPrecedence(node) < minPrecedence ||
+    (minPrecedence >= PRECEDENCE.CALL && isUnsafeMemberObject(sourceCode, node))
+  ) {
+    return `(${text})`;
+  }
+  return text;
+}
+
+const TEXT_OPERATORS = [
+  ...Object.keys(BINARY_PRECEDENCE).filter(op => !/^[a-z]/.test(op)),
+  '=>',
+  '?',
+  ',',
+  '=',
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Precedence of a short hand-written expression such as a fixStyle template.
+ * Only looks for operators outside brackets and string literals, so it is
+ * not meant for arbitrary source text (regexes, template literals).
+ */
+export function getTextPrecedence(text) {
+  let lowest = Infinity;
+  let depth = 0;
+  let quote = null;
+  let afterOperand = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) {
+        quote = null;
+        afterOperand = true;
+      }
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+      continue;
+    }
+    if ('([{'.includes(char)) {
+      depth++;
+      afterOperand = false;
+      continue;
+    }
+    if (')]}'.includes(char)) {
+      depth--;
+      afterOperand = true;
+      continue;
+    }
+    if (/\s/.test(char)) continue;
+    if (/[\w$.]/.test(char)) {
+      afterOperand = true;
+      continue;
+    }
+    if (text.startsWith('?.', i) && !/\d/.test(text[i + 2])) {
+      i++;
+      continue;
+    }
+    const operator = TEXT_OPERATORS.find(op => text.startsWith(op, i));
+    if (!operator) {
+      afterOperand = false;
+      continue;
+    }
+    i += operator.length - 1;
+    // Prefix operators (`!x`, `-x`) don't make the text a binary expression
+    if (depth === 0 && afterOperand) {
+      const precedence =
+        operator === ','
+          ? PRECEDENCE.SEQUENCE
+          : operator === '=' || operator === '=>'
+            ? PRECEDENCE.ASSIGNMENT
+            : operator === '?'
+              ? PRECEDENCE.CONDITIONAL
+              : BINARY_PRECEDENCE[operator];
+      lowest = Math.min(lowest, precedence);
+    }
+    afterOperand = false;
+  }
+  if (lowest !== Infinity) return lowest;
+  return /^\s*([!~+-]|(typeof|void|await|delete)\b)/.test(text)
+    ? PRECEDENCE.UNARY
+    : PRECEDENCE.CALL;
+}
@@ -0,0 +1,187 @@
+/**
+ * Collection detection backed by TypeScript type information, for files
+ * parsed by @typescript-eslint/parser with a project configured.
+ */
+
+import { getTypeNameKind } from './catalog.js';
+
+// Subset of ts.TypeFlags / ts.ObjectFlags. Mirrored here so the plugin never
+// has to import `typescript`, which is only an optional dependency.
+const TypeFlags = {
+  Any: 1,
+  Unknown: 2,
+  Void: 16384,
+  Undefined: 32768,
+  Null: 65536,
+  TypeParameter: 262144,
+  Object: 524288,
+};
+const NULLISH_FLAGS = TypeFlags.Void | TypeFlags.Undefined | TypeFlags.Null;
+const ObjectFlags = {
+  Tuple: 8,
+  Anonymous: 16,
+  Mapped: 32,
+  ObjectLiteral: 128,
+};
+const PLAIN_OBJECT_FLAGS =
+  ObjectFlags.Anonymous | ObjectFlags.Mapped | ObjectFlags.ObjectLiteral;
+const SymbolFlags = {
+  Method: 8192,
+};
+
+const ARRAY_TYPE_NAMES = ['Array', 'ReadonlyArray'];
+
+/**
+ * Returns a function that resolves a node's collection type through the
+ * type checker, or null when the file has no type information.
+ * @param {object} sourceCode - ESLint SourceCode of the linted file
+ */
+export function createTypeAnalyzer(sourceCode) {
+  const parserServices = sourceCode.parserServices;
+  if (!parserServices?.program || !parserServices.esTreeNodeToTSNodeMap) {
+    return null;
+  }
+  const typeChecker = parserServices.program.getTypeChecker();
+  // Without strictNullChecks, `T[] | undefined` is reported as `T[]`, so no
+  // type says whether a value may be missing
+  const compilerOptions = parserServices.program.getCompilerOptions();
+  const checksNulls =
+    compilerOptions.strictNullChecks ?? compilerOptions.strict ?? false;
+
+  // Built-in interfaces such as Date, Promise or RegExp aren't collections.
+  // A generic reference such as `Promise<T>` is checked through its target.
+  function isDefaultLibraryInterface(type) {
+    if (!type.isClassOrInterface()) return false;
+    const declarations = type.getSymbol()?.getDeclarations() || [];
+    return declarations.some(declaration =>
+      parserServices.program.isSourceFileDefaultLibrary(
+        declaration.getSourceFile()
+      )
+    );
+  }
+
+  // Returns the collection type, null for a known non-collection type and
+  // undefined when the checker can't tell (any, unknown, generics).
+  // Nullish union members are ignored; see isNullableType().
+  function classifyType(type) {
+    if (
+      type.flags &
+      (TypeFlags.Any | TypeFlags.Unknown | TypeFlags.TypeParameter)
+    ) {
+      return undefined;
+    }
+    if (type.isUnion()) {
+      const defined = type.types.filter(t => !(t.flags & NULLISH_FLAGS));
+      if (defined.length === 0) return null;
+      const kinds = defined.map(classifyType);
+      if (kinds.includes(undefined)) return undefined;
+      return kinds.every(kind => kind && kind === kinds[0]) ? kinds[0] : null;
+    }
+    if (!(type.flags & TypeFlags.Object)) return null;
+
+    const symbolName = type.getSymbol()?.getName();
+    if (
+      typeChecker.isArrayType?.(type) ||
+      typeChecker.isTupleType?.(type) ||
+      type.target?.objectFlags & ObjectFlags.Tuple ||
+      ARRAY_TYPE_NAMES.includes(symbolName)
+    ) {
+      return 'array';
+    }
+    const kind = getTypeNameKind(symbolName);
+    if (kind) return kind;
+
+    const target = type.target ?? type;
+    if (
+      type.getCallSignatures().length > 0 ||
+      type.getConstructSignatures().length > 0 ||
+      target.isClass?.() ||
+      isDefaultLibraryInterface(target)
+    ) {
+      return null;
+    }
+    if (type.objectFlags & ObjectFlags.ObjectLiteral) return 'object';
+    const properties = type.getProperties();
+    // An empty type literal (`{}`) also accepts primitives
+    if (
+      properties.length === 0 &&
+      !type.getStringIndexType() &&
+      !type.getNumberIndexType()
+    ) {
+      return null;
+    }
+    // A type made only of methods, like `interface Logger { log(): void }`,
+    // describes a service rather than data
+    if (
+      properties.length > 0 &&
+      properties.every(property => property.flags & SymbolFlags.Method)
+    ) {
+      return null;
+    }
+    return 'object';
+  }
+
+  // Type literals, mapped types such as `Record<K, V>` and index signatures
+  // only describe plain objects. An interface or third-party type may be
+  // implemented by a class instance, whose methods Object.keys() can't see.
+  function isPlainObjectType(type) {
+    if (type.isUnion()) {
+      return type.types
+        .filter(t => !(t.flags & NULLISH_FLAGS))
+        .every(isPlainObjectType);
+    }
+    return Boolean(
+      type.objectFlags & PLAIN_OBJECT_FLAGS ||
+      type.getStringIndexType() ||
+      type.getNumberIndexType() ||
+      type.aliasSymbol?.getName() === 'Record'
+    );
+  }
+
+  function isNullableType(type) {
+    return type.isUnion() && type.types.some(t => t.flags & NULLISH_FLAGS);
+  }
+
+  // `a?.b?.items` is `undefined` whenever the chain short-circuits, so its
+  // type says nothing about whether `items` itself may be missing. The
+  // declared type of the last property does. The checker adds the same
+  // `undefined` to calls, which are taken as non-null; checks generated
+  // for chains stay null-safe either way.
+  function getChainResultType(node) {
+    const expression = node.expression;
+    const tsNode = parserServices.esTreeNodeToTSNodeMap.get(expression);
+    if (expression.type === 'MemberExpression' && !expression.computed) {
+      const symbol = typeChecker.getSymbolAtLocation(tsNode.name);
+      if (symbol) return typeChecker.getTypeOfSymbolAtLocation(symbol, tsNode);
+    }
+    if (expression.type === 'CallExpression') {
+      return typeChecker.getNonNullableType(
+        typeChecker.getTypeAtLocation(tsNode)
+      );
+    }
+    return undefined;
+  }
+
+  function analyzeType(node) {
+    const tsNode = parserServices.esTreeNodeToTSNodeMap.get(node);
+    if (!tsNode) return undefined;
+    const tsType =
+      (node.type === 'ChainExpression' && getChainResultType(node)) ||
+      typeChecker.getTypeAtLocation(tsNode);
+    const type = classifyType(tsType);
+    if (!type) return type;
+    const analysis = {
+      type,
+      confidence: 100,
+      method: 'type-checker',
+      nullable: isNullableType(tsType),
+    };
+    if (!checksNulls) analysis.maybeNullish = true;
+    if (type === 'object' && !isPlainObjectType(tsType)) {
+      analysis.suggestOnly = true;
+    }
+    return analysis;
+  }
+
+  return analyzeType;
+}
@@ -0,0 +1,2 @@
+// Placeholder so the fixture tsconfig has a root file; the rule tester
+// substitutes each test case's code for this file's contents.
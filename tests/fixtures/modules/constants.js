@@ -0,0 +1,19 @@
+// Exports read by the followImports tests
+export const ROLES = [];
+export const CACHE = new Map();
+export const limit = 10;
+export const selected = getSelection();
+export let current = [];
+
+const defaults = {};
+export { defaults as DEFAULTS };
+
+export default new Set();
+
+function getSelection() {
+  return [];
+}
+
+export function reset() {
+  current = [];
+}
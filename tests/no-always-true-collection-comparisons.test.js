@@ -0,0 +1,269 @@
+/**
+ * Test suite for the no-always-true-collection-comparisons ESLint rule
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRuleTester } from 'eslint-vitest-rule-tester';
+import rule from '../lib/rules/no-always-true-collection-comparisons.js';
+
+// Shim for expect.soft compatibility
+if (!('soft' in expect)) {
+  expect.soft = expect;
+}
+
+const baseConfig = {
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'script',
+  },
+};
+
+describe('no-always-true-collection-comparisons ESLint Rule', () => {
+  const { valid, invalid } = createRuleTester({
+    name: 'no-always-true-collection-comparisons',
+    rule,
+    configs: baseConfig,
+  });
+
+  describe('Fresh Collection Literals', () => {
+    it('flags identity comparisons with empty literals', async () => {
+      const array = await invalid({
+        code: 'const arr = load().map(f); if (arr === []) { reset() }',
+        errors: [
+          {
+            messageId: 'freshCollectionComparison',
+            data: { operator: '===', kind: 'array', result: 'false' },
+          },
+        ],
+      });
+      expect(array.output).toBe(
+        'const arr = load().map(f); if (arr.length === 0) { reset() }'
+      );
+
+      const object = await invalid({
+        code: 'const obj = { ...defaults }; if (obj === {}) { reset() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+      expect(object.output).toBe(
+        'const obj = { ...defaults }; if (Object.keys(obj).length === 0) { reset() }'
+      );
+    });
+
+    it('flips the fix for negated operators', async () => {
+      const result = await invalid({
+        code: 'const items = [a]; if ([] !== items) { use() }',
+        errors: [
+          {
+            messageId: 'freshCollectionComparison',
+            data: { operator: '!==', kind: 'array', result: 'true' },
+          },
+        ],
+      });
+      expect(result.output).toBe(
+        'const items = [a]; if (items.length > 0) { use() }'
+      );
+    });
+
+    it('fixes comparisons with empty constructors', async () => {
+      const set = await invalid({
+        code: 'const seen = new Set(); if (seen === new Set()) { start() }',
+        errors: [
+          {
+            messageId: 'freshCollectionComparison',
+            data: { operator: '===', kind: 'Set or Map', result: 'false' },
+          },
+        ],
+      });
+      expect(set.output).toBe(
+        'const seen = new Set(); if (seen.size === 0) { start() }'
+      );
+
+      const array = await invalid({
+        code: 'if (rows.filter(f) !== new Array()) { use() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+      expect(array.output).toBe('if (rows.filter(f).length > 0) { use() }');
+    });
+
+    it('only suggests a check when the other side may not be a collection', async () => {
+      const result = await invalid({
+        code: 'if (value === {}) { reset() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+      expect(result.output).toBe('if (value === {}) { reset() }');
+      expect(result.messages[0].suggestions[0].desc).toBe(
+        "Check for emptiness with 'Object.keys(value).length === 0'."
+      );
+
+      const mismatched = await invalid({
+        code: 'const seen = new Set(); if (seen === []) { reset() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+      expect(mismatched.output).toBe(
+        'const seen = new Set(); if (seen === []) { reset() }'
+      );
+    });
+
+    it('parenthesizes compound operands', async () => {
+      const result = await invalid({
+        code: 'if ((a || b) === []) { reset() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+      expect(result.messages[0].suggestions[0].desc).toBe(
+        "Check for emptiness with '(a || b).length === 0'."
+      );
+    });
+
+    it('reports comparisons it cannot rewrite without a fix', async () => {
+      const nonEmpty = await invalid({
+        code: 'if (pair === [a, b]) { use() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+      expect(nonEmpty.output).toBe('if (pair === [a, b]) { use() }');
+
+      const primitive = await invalid({
+        code: 'if ([] === true) { use() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+      expect(primitive.output).toBe('if ([] === true) { use() }');
+    });
+
+    it('flags loose equality between two collections', async () => {
+      await invalid({
+        code: 'const items = []; if (items == []) { reset() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+    });
+
+    it('ignores loose equality with values that may be primitives', async () => {
+      await valid('if (value == []) { use() }');
+      await valid('if (key != {}) { use() }');
+    });
+
+    it('ignores calls that may return an existing object', async () => {
+      await valid('if (target === Object.assign(target, patch)) { use() }');
+      await valid('if (list === list.filter(Boolean)) { use() }');
+    });
+  });
+
+  describe('Loose Equality With Booleans', () => {
+    it('flags collections compared loosely with booleans', async () => {
+      const literal = await invalid({
+        code: 'if ([] == false) { use() }',
+        errors: [
+          {
+            messageId: 'looseBooleanComparison',
+            data: {
+              operator: '==',
+              value: 'false',
+              kind: 'array',
+              suggestion: '[].length === 0',
+            },
+          },
+        ],
+      });
+      expect(literal.output).toBe('if ([].length === 0) { use() }');
+
+      const variable = await invalid({
+        code: 'const items = load().map(f); if (items == true) { use() }',
+        errors: [{ messageId: 'looseBooleanComparison' }],
+      });
+      expect(variable.output).toBe(
+        'const items = load().map(f); if (items.length > 0) { use() }'
+      );
+    });
+
+    it('maps each operator and value to the matching check', async () => {
+      const cases = [
+        ['bag == true', 'Object.keys(bag).length > 0'],
+        ['bag == false', 'Object.keys(bag).length === 0'],
+        ['bag != true', 'Object.keys(bag).length === 0'],
+        ['true != bag', 'Object.keys(bag).length === 0'],
+        ['bag != false', 'Object.keys(bag).length > 0'],
+      ];
+      for (const [comparison, expected] of cases) {
+        const result = await invalid({
+          code: `const bag = {}; if (${comparison}) { use() }`,
+          errors: [{ messageId: 'looseBooleanComparison' }],
+        });
+        expect(result.output).toBe(
+          `const bag = {}; if (${expected}) { use() }`
+        );
+      }
+    });
+
+    it('ignores strict comparisons and unknown values', async () => {
+      await valid('const items = []; if (items === true) { use() }');
+      await valid('if (items == true) { use() }');
+      await valid('let items = []; items = null; if (items == false) {}');
+    });
+  });
+
+  describe('Nullish Comparisons', () => {
+    it('flags null checks on values that are always collections', async () => {
+      const result = await invalid({
+        code: 'const items = []; if (items !== undefined) { use() }',
+        errors: [
+          {
+            messageId: 'nullishComparison',
+            data: { kind: 'array', result: 'true' },
+          },
+        ],
+      });
+      expect(result.output).toBe(
+        'const items = []; if (items !== undefined) { use() }'
+      );
+      expect(result.messages[0].suggestions).toHaveLength(1);
+      expect(result.messages[0].suggestions[0].desc).toBe(
+        "Check for emptiness with 'items.length > 0'."
+      );
+
+      await invalid({
+        code: 'const seen = new Map(); if (seen == null) { init() }',
+        errors: [
+          {
+            messageId: 'nullishComparison',
+            data: { kind: 'Set or Map', result: 'false' },
+          },
+        ],
+      });
+      await invalid({
+        code: 'if ({} === void 0) { init() }',
+        errors: [{ messageId: 'nullishComparison' }],
+      });
+    });
+
+    it('offers no emptiness check for weak collections', async () => {
+      const result = await invalid({
+        code: 'const cache = new WeakMap(); if (cache === null) { init() }',
+        errors: [
+          {
+            messageId: 'nullishComparison',
+            data: { kind: 'WeakSet or WeakMap', result: 'false' },
+          },
+        ],
+      });
+      expect(result.messages[0].suggestions).toBeUndefined();
+      const fresh = await invalid({
+        code: 'if (cache === new WeakMap()) { init() }',
+        errors: [{ messageId: 'freshCollectionComparison' }],
+      });
+      expect(fresh.output).toBe('if (cache === new WeakMap()) { init() }');
+    });
+
+    it('ignores values that may be nullish', async () => {
+      await valid('if (items !== undefined) { use() }');
+      await valid('let items = []; items = undefined; if (items != null) {}');
+      await valid('function f(items = []) { return items !== null }');
+      await valid('if (str.match(/x/) === null) { use() }');
+      await valid('const m = re.exec(str); if (m != null) { use() }');
+    });
+  });
+
+  it('ignores comparisons without collections', async () => {
+    await valid('if (count === 0) { use() }');
+    await valid('if (items.length === 0) { use() }');
+    await valid('if (a === b) { use() }');
+    await valid('if (flag == true) { use() }');
+  });
+});
@@ -4,7 +4,9 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { fileURLToPath } from 'node:url';
 import { createRuleTester } from 'eslint-vitest-rule-tester';
+import tsParser from '@typescript-eslint/parser';
 import rule from '../lib/rules/no-truthy-collections.js';
 
 // Shim for expect.soft compatibility
@@ -53,6 +55,30 @@ const baseConfig = {
   },
 };
 
+// Type-aware configuration backed by tests/fixtures/tsconfig.json
+const typedConfig = {
+  languageOptions: {
+    parser: tsParser,
+    parserOptions: {
+      project: './tsconfig.json',
+      tsconfigRootDir: fileURLToPath(new URL('./fixtures', import.meta.url)),
+    },
+  },
+};
+
+// The same, without strictNullChecks
+const looseTypedConfig = {
+  languageOptions: {
+    parser: tsParser,
+    parserOptions: {
+      project: './tsconfig.json',
+      tsconfigRootDir: fileURLToPath(
+        new URL('./fixtures/loose', import.meta.url)
+      ),
+    },
+  },
+};
+
 describe('no-truthy-collections ESLint Rule', () => {
   describe('Default Configuration (All Checks Enabled)', () => {
     const { valid, invalid } = createRuleTester({
@@ -262,7 +288,7 @@ describe('no-truthy-collections ESLint Rule', () => {
       it('catches Set constructor', async () => {
         const result = await wrappedInvalid({
           code: 'if (new Set()) { iterate() }',
-          errors: [{ messageId: 'arrayLikeTruthy' }],
+          errors: [{ messageId: 'sizedCollectionTruthy' }],
         });
         expect(result.output).toBe('if (new Set().size > 0) { iterate() }');
       });
@@ -270,19 +296,20 @@ describe('no-truthy-collections ESLint Rule', () => {
       it('catches Map constructor', async () => {
         const result = await wrappedInvalid({
           code: 'const hasEntries = new Map() && process()',
-          errors: [{ messageId: 'arrayLikeTruthy' }],
+          errors: [{ messageId: 'sizedCollectionTruthy' }],
         });
         expect(result.output).toBe(
           'const hasEntries = new Map().size > 0 && process()'
         );
       });
 
-      it('catches WeakSet constructor', async () => {
+      it('reports WeakSet constructors without a fix', async () => {
         const result = await wrappedInvalid({
           code: 'if (new WeakSet()) { check() }',
-          errors: [{ messageId: 'arrayLikeTruthy' }],
+          errors: [{ messageId: 'weakCollectionTruthy' }],
         });
-        expect(result.output).toBe('if (new WeakSet().size > 0) { check() }');
+        expect(result.output).toBe('if (new WeakSet()) { check() }');
+        expect(result.messages[0].suggestions).toBeUndefined();
       });
 
       it('catches suspicious Set([x]) pattern with helpful suggestions', async () => {
@@ -318,6 +345,40 @@ describe('no-truthy-collections ESLint Rule', () => {
         await wrappedValid('if (new Set(items)) { process() }'); // items is likely an array
         await wrappedValid('if (new Set(items).size > 0) { iterate() }'); // explicit size check
       });
+
+      it('reports weak collections in every context without fixes', async () => {
+        const result = await wrappedInvalid({
+          code: 'const cache = new WeakMap(); const value = cache || fallback',
+          errors: [{ messageId: 'weakCollectionTruthy' }],
+        });
+        expect(result.output).toBe(
+          'const cache = new WeakMap(); const value = cache || fallback'
+        );
+        await wrappedInvalid({
+          code: 'const seen = new WeakSet(); if (!seen) { init() }',
+          errors: [{ messageId: 'weakCollectionTruthy' }],
+        });
+        await wrappedValid('if (new WeakSet([item])) { use() }');
+      });
+
+      it('measures arguments and DOM collections by length', async () => {
+        const result = await wrappedInvalid({
+          code: 'function f() { if (arguments) { use() } }',
+          errors: [{ messageId: 'arrayLikeTruthy' }],
+        });
+        expect(result.output).toBe(
+          'function f() { if (arguments.length > 0) { use() } }'
+        );
+
+        const nodes = await wrappedInvalid({
+          code: "if (!root.querySelectorAll('li')) { empty() }",
+          errors: [{ messageId: 'arrayLikeTruthy' }],
+        });
+        expect(nodes.output).toBe(
+          "if (root.querySelectorAll('li').length === 0) { empty() }"
+        );
+        await wrappedValid('function f(arguments) { if (arguments) {} }');
+      });
     });
 
     describe('Invalid Cases - Array Methods That Return Arrays', () => {
@@ -363,6 +424,138 @@ describe('no-truthy-collections ESLint Rule', () => {
     });
   });
 
+  describe('Collection-Returning APIs', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'catalog',
+      rule,
+      configs: baseConfig,
+    });
+
+    // [code, expected output]
+    const catalogCases = [
+      ['if (list.toSorted()) {}', 'if (list.toSorted().length > 0) {}'],
+      ['if (list.toReversed()) {}', 'if (list.toReversed().length > 0) {}'],
+      [
+        'if (list.toSpliced(0, 1)) {}',
+        'if (list.toSpliced(0, 1).length > 0) {}',
+      ],
+      ['if (list.with(0, x)) {}', 'if (list.with(0, x).length > 0) {}'],
+      ["if (path.split('/')) {}", "if (path.split('/').length > 0) {}"],
+      [
+        "if (document.querySelectorAll('a')) {}",
+        "if (document.querySelectorAll('a').length > 0) {}",
+      ],
+      [
+        "if (el.getElementsByClassName('row')) {}",
+        "if (el.getElementsByClassName('row').length > 0) {}",
+      ],
+      ['if (Object.keys(o)) {}', 'if (Object.keys(o).length > 0) {}'],
+      ['if (Object.values(o)) {}', 'if (Object.values(o).length > 0) {}'],
+      ['if (Object.entries(o)) {}', 'if (Object.entries(o).length > 0) {}'],
+      ['if (Reflect.ownKeys(o)) {}', 'if (Reflect.ownKeys(o).length > 0) {}'],
+      [
+        'if (Object.groupBy(list, f)) {}',
+        'if (Object.keys(Object.groupBy(list, f)).length > 0) {}',
+      ],
+      ['if (Map.groupBy(list, f)) {}', 'if (Map.groupBy(list, f).size > 0) {}'],
+      ['if (structuredClone([])) {}', 'if (structuredClone([]).length > 0) {}'],
+      [
+        'if (structuredClone({ a })) {}',
+        'if (Object.keys(structuredClone({ a })).length > 0) {}',
+      ],
+      ["if (JSON.parse('[]')) {}", "if (JSON.parse('[]').length > 0) {}"],
+      [
+        "if (JSON.parse('{}')) {}",
+        "if (Object.keys(JSON.parse('{}')).length > 0) {}",
+      ],
+      ['if (new Uint8Array(n)) {}', 'if (new Uint8Array(n).length > 0) {}'],
+      [
+        'if (Float64Array.from(xs)) {}',
+        'if (Float64Array.from(xs).length > 0) {}',
+      ],
+      [
+        'async function f() { const rows = await Promise.all(jobs); if (rows) {} }',
+        'async function f() { const rows = await Promise.all(jobs); if (rows.length > 0) {} }',
+      ],
+      [
+        'async function f() { if (await Promise.allSettled(jobs)) {} }',
+        'async function f() { if ((await Promise.allSettled(jobs)).length > 0) {} }',
+      ],
+    ];
+
+    it.each(catalogCases)('%s', async (code, output) => {
+      const result = await invalid({ code, errors: 1 });
+      expect(result.output).toBe(output);
+    });
+
+    it('treats match() and exec() results as nullable', async () => {
+      await valid('if (str.match(/x/)) {}');
+      await valid('const m = re.exec(str); if (m) {}');
+      await invalid({
+        code: 'const m = str.match(/x/); if (m) {}',
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'nullableCollectionTruthy' }],
+      });
+    });
+
+    it('reports FormData and matchAll() results without a fix', async () => {
+      const cases = [
+        'if (new FormData(form)) {}',
+        'const data = new FormData(); if (!data) {}',
+        'if (str.matchAll(/x/g)) {}',
+      ];
+      for (const code of cases) {
+        const result = await invalid({
+          code,
+          errors: [{ messageId: 'unsizedCollectionTruthy' }],
+        });
+        expect(result.output).toBe(code);
+        expect(result.messages[0].suggestions).toBeUndefined();
+      }
+    });
+
+    it('reports URLSearchParams without a size-based fix', async () => {
+      const cases = [
+        'if (new URLSearchParams()) {}',
+        'const params = new URLSearchParams(); if (!params) {}',
+        '/** @param {URLSearchParams} params */ function f(params) { return params ? 1 : 0 }',
+      ];
+      for (const code of cases) {
+        const result = await invalid({
+          code,
+          errors: [{ messageId: 'searchParamsTruthy' }],
+        });
+        expect(result.output).toBe(code);
+        expect(result.messages[0].suggestions).toBeUndefined();
+      }
+    });
+
+    it('skips calls that only look like collection APIs', async () => {
+      await valid('if (date.with({ day: 1 })) {}');
+      await valid('if (new URLSearchParams(location.search)) {}');
+      await valid('if (structuredClone(value)) {}');
+      await valid('if (Promise.all(jobs)) {}');
+      await valid('if (JSON.parse(text)) {}');
+      await valid("if (JSON.parse('null')) {}");
+    });
+
+    it('assumes the jsonParse kind for JSON.parse() of unknown text', async () => {
+      const result = await invalid({
+        code: 'if (JSON.parse(text)) {}',
+        options: [{ jsonParse: 'object' }],
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toBe(
+        'if (Object.keys(JSON.parse(text)).length > 0) {}'
+      );
+      await invalid({
+        code: 'const rows = JSON.parse(text); if (rows) {}',
+        options: [{ jsonParse: 'array' }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+  });
+
   describe('Configuration Options', () => {
     describe('checkArrays: false', () => {
       const { valid, invalid } = createRuleTester({
@@ -581,267 +774,472 @@ describe('no-truthy-collections ESLint Rule', () => {
     });
   });
 
-  describe('Complex Boolean Contexts', () => {
-    const { invalid } = createRuleTester({
-      name: 'complex-contexts',
+  describe('Custom Collection Names', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'custom-names',
       rule,
       configs: baseConfig,
     });
 
-    const wrappedInvalid = async function (opts, ...args) {
-      const originalCode = opts.code;
-      const wasWrapped = typeof opts.code === 'string' && needsWrap(opts.code);
-
-      if (wasWrapped) {
-        const result = await invalid(
-          { ...opts, code: wrap(opts.code) },
-          ...args
-        );
-        if (result.output) {
-          result.output = unwrap(result.output, originalCode);
-        }
-        return result;
-      }
-      return invalid(opts, ...args);
-    };
-
-    it('catches collections in for loop conditions', async () => {
-      await wrappedInvalid({
-        code: 'for (let i = 0; []; i++) { break }',
+    it('extends the identifier lists with names and regex strings', async () => {
+      const options = [
+        { arrayNames: { extend: ['ledger', '/^pending[A-Z]/'] } },
+      ];
+      await invalid({
+        code: 'if (ledger) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'if (pendingJobs) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'if (items) { use() }',
+        options,
         errors: [{ messageId: 'arrayTruthy' }],
       });
     });
 
-    it('catches collections in do-while loops', async () => {
-      await wrappedInvalid({
-        code: 'do { work() } while ({})',
+    it('replaces the built-in identifier list', async () => {
+      const options = [{ objectNames: { replace: ['ctx'] } }];
+      await invalid({
+        code: 'if (ctx) { use() }',
+        options,
         errors: [{ messageId: 'objectTruthy' }],
       });
+      await valid({ code: 'if (config) { use() }', options });
     });
 
-    it('catches collections in nested logical expressions', async () => {
-      // Use direct invalid function instead of wrapped
-      const result = await invalid({
-        code: 'function test() { const result = [] && process() }',
-        errors: [{ messageId: 'arrayInLogical' }],
+    it('excludes names from the built-in lists', async () => {
+      await valid({
+        code: 'if (pending) { wait() }',
+        options: [{ arrayNames: { exclude: ['pending'] } }],
+      });
+      await valid({
+        code: 'if (userData || userContent) { use() }',
+        options: [{ objectNames: { exclude: ['/^user/'] } }],
       });
-      expect(result.output).toBe(
-        'function test() { const result = [].length > 0 && process() }'
-      );
     });
 
-    it('catches collections in nested ternary operators', async () => {
-      await wrappedInvalid({
-        code: 'const value = [] ? "has items" : "empty"',
+    it('explains invalid regex strings', () => {
+      expect(() =>
+        valid({
+          code: 'if (ledger) { use() }',
+          options: [{ arrayNames: { extend: ['/[/'] } }],
+        })
+      ).toThrow("'/[/' is not a valid regular expression");
+    });
+
+    it('rejects stateful regex flags', () => {
+      for (const entry of ['/^x/g', '/^x/y']) {
+        expect(() =>
+          valid({
+            code: 'if (ledger) { use() }',
+            options: [{ arrayNames: { extend: [entry] } }],
+          })
+        ).toThrow(`'${entry}' uses the g or y flag`);
+      }
+    });
+
+    it('configures member properties separately from identifiers', async () => {
+      const options = [
+        {
+          arrayProperties: { extend: ['rows'] },
+          objectProperties: { replace: ['/Lookup$/'] },
+        },
+      ];
+      await invalid({
+        code: 'if (table.rows) { render() }',
+        options,
         errors: [{ messageId: 'arrayTruthy' }],
       });
-
-      await wrappedInvalid({
-        code: 'const result = first ? ({} ? "truthy" : "falsy") : "default"',
+      await invalid({
+        code: 'if (state.userLookup) { render() }',
+        options,
         errors: [{ messageId: 'objectTruthy' }],
       });
+      await valid({ code: 'if (rows) { render() }', options });
+      await valid({ code: 'if (props.options) { render() }', options });
+    });
+
+    it('configures the strictNaming patterns', async () => {
+      await invalid({
+        code: 'if (userBag) { use() }',
+        options: [
+          { strictNaming: true, arrayNamePatterns: { extend: ['/Bag$/'] } },
+        ],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await valid({
+        code: 'if (userList) { use() }',
+        options: [{ strictNaming: true, arrayNamePatterns: { replace: [] } }],
+      });
+      await valid({
+        code: 'if (checklist) { use() }',
+        options: [
+          { strictNaming: true, arrayNamePatterns: { exclude: ['checklist'] } },
+        ],
+      });
+    });
+
+    it('keeps patterns off without strictNaming', async () => {
+      await valid({
+        code: 'if (userBag) { use() }',
+        options: [{ arrayNamePatterns: { extend: ['/Bag$/'] } }],
+      });
     });
   });
 
-  describe('Edge Cases and Error Handling', () => {
+  describe('minConfidence', () => {
     const { valid, invalid } = createRuleTester({
-      name: 'edge-cases',
+      name: 'min-confidence',
       rule,
       configs: baseConfig,
     });
 
-    const wrappedInvalid = async function (opts, ...args) {
-      const originalCode = opts.code;
-      const wasWrapped = typeof opts.code === 'string' && needsWrap(opts.code);
+    it('applies a global threshold to every detection method', async () => {
+      const options = [{ minConfidence: 90 }];
+      await valid({ code: 'if (items) { use() }', options });
+      await valid({ code: 'if (arr.map(fn)) { use() }', options });
+      await valid({ code: 'if (new Set()) { use() }', options });
+      await invalid({
+        code: 'if ([]) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'if (Array.from(x)) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
 
-      if (wasWrapped) {
-        const result = await invalid(
-          { ...opts, code: wrap(opts.code) },
-          ...args
-        );
-        if (result.output) {
-          result.output = unwrap(result.output, originalCode);
-        }
-        return result;
-      }
-      return invalid(opts, ...args);
-    };
+    it('applies per-method thresholds', async () => {
+      const options = [
+        { minConfidence: { 'variable-name': 100, 'member-property': 0 } },
+      ];
+      await valid({ code: 'if (items) { use() }', options });
+      await invalid({
+        code: 'if (user.roles) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'if (arr.filter(fn)) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
 
-    it('handles null and undefined safely', async () => {
-      await valid('if (null) { never() }');
-      await valid('if (undefined) { never() }');
-      await valid('if (void 0) { never() }');
+    it('falls back to the default key before built-in thresholds', async () => {
+      const options = [{ minConfidence: { default: 96, literal: 50 } }];
+      await invalid({
+        code: 'if ({}) { use() }',
+        options,
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      await valid({ code: 'if (new Array()) { use() }', options });
     });
 
-    it('handles function calls that might return collections', async () => {
-      await valid('if (getArray()) { process() }');
-      await valid('if (user.getItems()) { iterate() }');
-      await valid('if (api.fetchData()) { render() }');
+    it('can silence the strictNaming patterns on their own', async () => {
+      const options = [
+        { strictNaming: true, minConfidence: { 'variable-pattern': 100 } },
+      ];
+      await valid({ code: 'if (userList) { use() }', options });
+      await invalid({
+        code: 'if (results) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
     });
 
-    it('handles complex member expressions', async () => {
-      await valid('if (obj.prop.items) { use() }');
-      await valid('if (window.localStorage) { save() }');
-      await valid('if (document.querySelectorAll) { select() }');
+    it('accepts a threshold for the constructor method', async () => {
+      await valid({
+        code: 'if (new Array()) { use() }',
+        options: [{ minConfidence: { constructor: 100 } }],
+      });
     });
 
-    it('handles destructured collections', async () => {
-      // These are variables, not literals, so confidence is lower
-      await valid('const [first, ...rest] = items; if (rest) { process() }');
-      await valid(
-        'const { data, ...others } = response; if (others) { use() }'
+    it('rejects thresholds outside 0-100 and unknown methods', async () => {
+      const run = options =>
+        Promise.resolve().then(() => valid({ code: 'if (x) {}', options }));
+      await expect(run([{ minConfidence: 101 }])).rejects.toThrow();
+      await expect(run([{ minConfidence: { guess: 1 } }])).rejects.toThrow();
+    });
+  });
+
+  describe('autofix', () => {
+    const { invalid } = createRuleTester({
+      name: 'autofix-policy',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('autofixes every detection by default', async () => {
+      const result = await invalid({
+        code: 'if (options) { use() }',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toBe(
+        'if (Object.keys(options).length > 0) { use() }'
       );
     });
 
-    it('handles collections with comments and whitespace', async () => {
-      const result = await wrappedInvalid({
-        code: `
-          if (
-            /* empty array */ []
-          ) {
-            process()
-          }
-        `,
+    it('only suggests for heuristic hits with high-confidence', async () => {
+      const options = [{ autofix: 'high-confidence' }];
+      const heuristic = await invalid({
+        code: 'if (options) { use() }',
+        options,
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(heuristic.output).toBe('if (options) { use() }');
+      expect(heuristic.messages[0].suggestions[0].desc).toContain(
+        'Object.keys(options).length > 0'
+      );
+
+      const property = await invalid({
+        code: 'if (user.roles) { use() }',
+        options,
         errors: [{ messageId: 'arrayTruthy' }],
       });
-      expect(result.output).toContain('[].length > 0');
-    });
+      expect(property.output).toBe('if (user.roles) { use() }');
 
-    it('specifically handles the new Set([x]) gotcha', async () => {
-      // This is the edge case we identified
-      const result = await wrappedInvalid({
-        code: 'if (new Set([userInput])) { validate() }',
-        errors: [{ message: expect.stringContaining('always has size 1') }],
+      const literal = await invalid({
+        code: 'if ([]) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
       });
+      expect(literal.output).toBe('if ([].length > 0) { use() }');
 
-      // Should provide helpful alternatives
-      const suggestions = result.messages[0].suggestions;
-      expect(suggestions[0].desc).toContain('if (userInput)');
-      expect(suggestions[1].desc).toContain('new Set(userInput).size > 0');
+      const tracked = await invalid({
+        code: 'const list = []; if (list) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(tracked.output).toBe(
+        'const list = []; if (list.length > 0) { use() }'
+      );
     });
 
-    it('handles edge case where Set([x]) element is complex', async () => {
-      const result = await wrappedInvalid({
-        code: 'if (new Set([obj.prop?.items])) { process() }',
-        errors: [{ message: expect.stringContaining('always has size 1') }],
+    it('never autofixes with never', async () => {
+      const result = await invalid({
+        code: 'if ([]) { use() }',
+        options: [{ autofix: 'never' }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe('if ([]) { use() }');
+      expect(result.messages[0].suggestions).toHaveLength(2);
+    });
+
+    it('accepts a per-method policy map', async () => {
+      const options = [
+        { autofix: { default: 'suggest', literal: 'fix', constructor: 'fix' } },
+      ];
+      const literal = await invalid({
+        code: 'if ({}) { use() }',
+        options,
+        errors: [{ messageId: 'objectTruthy' }],
       });
+      expect(literal.output).toBe('if (Object.keys({}).length > 0) { use() }');
 
-      const suggestions = result.messages[0].suggestions;
-      expect(suggestions[0].desc).toContain('if (obj.prop?.items)');
+      const constructed = await invalid({
+        code: 'if (new Set()) { use() }',
+        options,
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      expect(constructed.output).toBe('if (new Set().size > 0) { use() }');
+
+      const method = await invalid({
+        code: 'if (arr.map(fn)) { use() }',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(method.output).toBe('if (arr.map(fn)) { use() }');
     });
   });
 
-  describe('Real-world Code Patterns', () => {
+  describe('fixStyle', () => {
     const { valid, invalid } = createRuleTester({
-      name: 'real-world',
+      name: 'fix-style',
       rule,
-      configs: baseConfig,
+      configs: {
+        languageOptions: { ecmaVersion: 2024, sourceType: 'module' },
+      },
     });
 
-    const wrappedValid = async function (code, ...args) {
-      if (typeof code === 'string' && needsWrap(code)) {
-        return valid(wrap(code), ...args);
-      }
-      return valid(code, ...args);
-    };
-    const wrappedInvalid = async function (opts, ...args) {
-      const originalCode = opts.code;
-      const wasWrapped = typeof opts.code === 'string' && needsWrap(opts.code);
-
-      if (wasWrapped) {
-        const result = await invalid(
-          { ...opts, code: wrap(opts.code) },
-          ...args
-        );
-        if (result.output) {
-          result.output = unwrap(result.output, originalCode);
-        }
-        return result;
-      }
-      return invalid(opts, ...args);
-    };
+    it('fills templates with the tested expression', async () => {
+      const result = await invalid({
+        code: 'if (options) { use() }',
+        options: [
+          { fixStyle: { object: 'Reflect.ownKeys({{expr}}).length > 0' } },
+        ],
+        errors: [
+          {
+            messageId: 'objectTruthy',
+            data: { suggestion: 'Reflect.ownKeys(options).length > 0' },
+          },
+        ],
+      });
+      expect(result.output).toBe(
+        'if (Reflect.ownKeys(options).length > 0) { use() }'
+      );
+    });
 
-    it('catches common React patterns', async () => {
-      await wrappedInvalid({
-        code: 'const Component = () => [] && <List items={items} />',
-        errors: [{ messageId: 'arrayInLogical' }],
+    it('keeps the built-in check for types without a template', async () => {
+      const result = await invalid({
+        code: 'if (items) { use() }',
+        options: [{ fixStyle: { object: '!isEmpty({{expr}})' } }],
+        errors: [{ messageId: 'arrayTruthy' }],
       });
+      expect(result.output).toBe('if (items.length > 0) { use() }');
+    });
 
-      await wrappedInvalid({
-        code: 'const hasData = {} ? <Content data={data} /> : <Loading />',
+    it('uses helpers that are already in scope', async () => {
+      const result = await invalid({
+        code: "import { hasKeys } from './objects.js';\nif (config) { use() }",
+        options: [
+          {
+            fixStyle: {
+              object: {
+                template: 'hasKeys({{expr}})',
+                import: { name: 'hasKeys', from: './objects.js' },
+              },
+            },
+          },
+        ],
         errors: [{ messageId: 'objectTruthy' }],
       });
+      expect(result.output).toBe(
+        "import { hasKeys } from './objects.js';\nif (hasKeys(config)) { use() }"
+      );
     });
 
-    it('catches common Node.js patterns', async () => {
-      await wrappedInvalid({
-        code: 'if ([]) { parseArgs() }',
-        options: [{ strictNaming: true }],
-        errors: [{ messageId: 'arrayTruthy' }],
+    it('inserts the missing import', async () => {
+      const fixStyle = {
+        object: {
+          template: '!isEmpty({{expr}})',
+          import: { name: 'isEmpty', from: 'lodash' },
+        },
+      };
+      const fresh = await invalid({
+        code: "import fs from 'node:fs';\nif (config) { use() }",
+        options: [{ fixStyle }],
+        errors: [{ messageId: 'objectTruthy' }],
       });
+      expect(fresh.output).toBe(
+        "import fs from 'node:fs';\nimport { isEmpty } from 'lodash';\nif (!isEmpty(config)) { use() }"
+      );
 
-      await wrappedInvalid({
-        code: 'const config = {} && loadConfig()',
-        errors: [{ messageId: 'objectInLogical' }],
+      const merged = await invalid({
+        code: "import { get } from 'lodash';\nif (config) { use() }",
+        options: [{ fixStyle }],
+        errors: [{ messageId: 'objectTruthy' }],
       });
-    });
+      expect(merged.output).toBe(
+        "import { get, isEmpty } from 'lodash';\nif (!isEmpty(config)) { use() }"
+      );
 
-    it('catches common API response patterns', async () => {
-      // Copy the exact pattern from "catches empty object literals in if statements" which is passing
-      const result = await wrappedInvalid({
-        code: 'if ({}) { doSomething() }',
+      const noImports = await invalid({
+        code: 'if (config) { use() }',
+        options: [{ fixStyle }],
         errors: [{ messageId: 'objectTruthy' }],
       });
-      expect(result.output).toBe(
-        'if (Object.keys({}).length > 0) { doSomething() }'
+      expect(noImports.output).toBe(
+        "import { isEmpty } from 'lodash';\nif (!isEmpty(config)) { use() }"
       );
-    });
 
-    it('allows proper validation patterns', async () => {
-      await wrappedValid('if (items && items.length > 0) { process() }');
-      await wrappedValid(
-        'if (config && Object.keys(config).length) { apply() }'
+      const directive = await invalid({
+        code: "'use strict';\nif (config) { use() }",
+        options: [{ fixStyle }],
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(directive.output).toBe(
+        "'use strict';\nimport { isEmpty } from 'lodash';\nif (!isEmpty(config)) { use() }"
       );
-      await wrappedValid('if (collection?.size) { iterate() }');
-    });
-  });
-
-  describe('File Skipping Safety Net', () => {
-    it('automatically skips node_modules files', async () => {
-      // Test the rule's built-in file skipping logic
-      // We can't easily test this with createRuleTester since filename
-      // handling is complex, so we'll test that the rule has the safety net
-      expect(typeof rule.create).toBe('function');
     });
 
-    it('automatically skips build directories', async () => {
-      // Similar to above - the safety net is built into the rule
-      expect(typeof rule.create).toBe('function');
+    it('supports default imports', async () => {
+      const result = await invalid({
+        code: 'if (config) { use() }',
+        options: [
+          {
+            fixStyle: {
+              object: {
+                template: '!_.isEmpty({{expr}})',
+                import: { name: '_', from: 'lodash', default: true },
+              },
+            },
+          },
+        ],
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toBe(
+        "import _ from 'lodash';\nif (!_.isEmpty(config)) { use() }"
+      );
     });
 
-    it('automatically skips minified files', async () => {
-      // The rule has built-in protection
-      expect(typeof rule.create).toBe('function');
+    it('imports the helper once for several fixes', async () => {
+      const result = await invalid({
+        code: 'if (config) { a() }\nif (options) { b() }',
+        options: [
+          {
+            fixStyle: {
+              object: {
+                template: '!isEmpty({{expr}})',
+                import: { name: 'isEmpty', from: 'lodash' },
+              },
+            },
+          },
+        ],
+        errors: [{ messageId: 'objectTruthy' }, { messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toBe(
+        "import { isEmpty } from 'lodash';\nif (!isEmpty(config)) { a() }\nif (!isEmpty(options)) { b() }"
+      );
     });
 
-    it('still processes normal source files', async () => {
-      const { invalid } = createRuleTester({
-        name: 'process-source',
+    it('falls back to the built-in check when the import cannot be added', async () => {
+      const { invalid: invalidScript } = createRuleTester({
+        name: 'fix-style-script',
         rule,
         configs: baseConfig,
       });
-
-      // Should still catch violations in normal source files
-      await invalid({
-        code: 'if ([]) { process() }',
-        errors: [{ messageId: 'arrayTruthy' }],
+      const result = await invalidScript({
+        code: 'if (config) { use() }',
+        options: [
+          {
+            fixStyle: {
+              object: {
+                template: '!isEmpty({{expr}})',
+                import: { name: 'isEmpty', from: 'lodash' },
+              },
+            },
+          },
+        ],
+        errors: [{ messageId: 'objectTruthy' }],
       });
+      expect(result.output).toBe(
+        'if (Object.keys(config).length > 0) { use() }'
+      );
+    });
+
+    it('rejects templates without {{expr}}', async () => {
+      await expect(
+        Promise.resolve().then(() =>
+          valid({
+            code: 'if (items.length) { use() }',
+            options: [{ fixStyle: { array: 'isEmpty(items)' } }],
+          })
+        )
+      ).rejects.toThrow();
     });
   });
 
-  describe('Suggestion Testing', () => {
+  describe('Complex Boolean Contexts', () => {
     const { invalid } = createRuleTester({
-      name: 'suggestions',
+      name: 'complex-contexts',
       rule,
       configs: baseConfig,
     });
@@ -863,189 +1261,2330 @@ describe('no-truthy-collections ESLint Rule', () => {
       return invalid(opts, ...args);
     };
 
-    it('provides multiple suggestions for arrays', async () => {
-      const result = await wrappedInvalid({
-        code: 'if ([]) { process() }',
+    it('catches collections in for loop conditions', async () => {
+      await wrappedInvalid({
+        code: 'for (let i = 0; []; i++) { break }',
         errors: [{ messageId: 'arrayTruthy' }],
       });
-
-      const suggestions = result.messages[0].suggestions;
-      expect(suggestions).toHaveLength(2);
-      expect(suggestions[0].desc).toContain('.length > 0');
-      expect(suggestions[1].desc).toContain('Boolean([])');
     });
 
-    it('provides multiple suggestions for objects', async () => {
-      const result = await wrappedInvalid({
-        code: 'if ({}) { process() }',
+    it('catches collections in do-while loops', async () => {
+      await wrappedInvalid({
+        code: 'do { work() } while ({})',
         errors: [{ messageId: 'objectTruthy' }],
       });
+    });
 
-      const suggestions = result.messages[0].suggestions;
-      expect(suggestions).toHaveLength(2);
-      expect(suggestions[0].desc).toContain('Object.keys({}).length > 0');
-      expect(suggestions[1].desc).toContain('Boolean({})');
+    it('catches collections in nested logical expressions', async () => {
+      // Use direct invalid function instead of wrapped
+      const result = await invalid({
+        code: 'function test() { const result = [] && process() }',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+      expect(result.output).toBe(
+        'function test() { const result = [].length > 0 && process() }'
+      );
     });
 
-    it('provides appropriate suggestions for array-like types', async () => {
-      const result = await wrappedInvalid({
-        code: 'if (new Set()) { iterate() }',
-        errors: [{ messageId: 'arrayLikeTruthy' }],
+    it('catches collections in nested ternary operators', async () => {
+      await wrappedInvalid({
+        code: 'const value = [] ? "has items" : "empty"',
+        errors: [{ messageId: 'arrayTruthy' }],
       });
 
-      const suggestions = result.messages[0].suggestions;
-      expect(suggestions[0].desc).toContain('.size > 0');
+      await wrappedInvalid({
+        code: 'const result = first ? ({} ? "truthy" : "falsy") : "default"',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
     });
   });
 
-  describe('Performance and Memory', () => {
-    const { invalid } = createRuleTester({
-      name: 'performance',
+  describe('Predicate Callbacks', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'predicate-callbacks',
       rule,
       configs: baseConfig,
     });
 
-    it('handles deeply nested structures without stack overflow', async () => {
-      // Create deeply nested parentheses around array literal
-      const nestedParens = '('.repeat(20) + '[]' + ')'.repeat(20);
-      const deepNesting = `if (${nestedParens}) { work() }`;
-
-      await invalid({
-        code: `function testWrapper() {\n${deepNesting}\n}`,
-        errors: [{ messageId: 'arrayTruthy' }],
+    it('catches collections returned from arrow predicates', async () => {
+      const result = await invalid({
+        code: 'const admins = users.filter(u => u.roles)',
+        errors: [
+          {
+            messageId: 'collectionInPredicate',
+            data: { method: 'filter', suggestion: 'u.roles.length > 0' },
+          },
+        ],
       });
+      expect(result.output).toBe(
+        'const admins = users.filter(u => u.roles.length > 0)'
+      );
     });
 
-    it('handles very long variable names', async () => {
-      const longName = 'a'.repeat(100) + 'Array';
+    it('covers some, every, find, findIndex and their last variants', async () => {
+      for (const method of [
+        'some',
+        'every',
+        'find',
+        'findIndex',
+        'findLast',
+        'findLastIndex',
+      ]) {
+        await invalid({
+          code: `const x = posts.${method}(p => p.tags)`,
+          errors: [
+            {
+              messageId: 'collectionInPredicate',
+              data: { method, suggestion: 'p.tags.length > 0' },
+            },
+          ],
+        });
+      }
+    });
+
+    it('catches return statements in function predicates', async () => {
+      const result = await invalid({
+        code: 'const x = rows.some(function (row) { return new Set(); })',
+        errors: [{ messageId: 'collectionInPredicate' }],
+      });
+      expect(result.output).toBe(
+        'const x = rows.some(function (row) { return new Set().size > 0; })'
+      );
 
       await invalid({
-        code: `if (${longName}) { process() }`,
-        options: [{ strictNaming: true }],
-        errors: [{ messageId: 'arrayTruthy' }],
+        code: 'const x = rows.find(row => { if (row.ok) return {}; return row.meta; })',
+        errors: [{ messageId: 'collectionInPredicate' }],
       });
     });
+
+    it('ignores non-predicate methods and nested functions', async () => {
+      await valid('const x = users.map(u => u.roles)');
+      await valid('const x = users.flatMap(u => u.tags)');
+      await valid('const x = users.filter(u => u.roles.length > 0)');
+      await valid('const x = users.filter(u => u.active)');
+      await valid(
+        'const x = users.filter(u => { const f = () => { return []; }; return f().length > 0; })'
+      );
+      await valid('const x = check(u => u.roles)');
+    });
+
+    it('ignores callbacks passed in other argument positions', async () => {
+      await valid('const x = users.find(thisArg, u => u.roles)');
+    });
   });
 
-  // Setup and teardown
-  describe('Rule Setup and Configuration', () => {
-    beforeEach(() => {
-      vi.clearAllMocks();
+  describe('switch (true), Boolean Returns and Assertions', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'more-boolean-contexts',
+      rule,
+      configs: baseConfig,
     });
 
-    afterEach(() => {
-      vi.restoreAllMocks();
+    it('catches collections in switch (true) cases', async () => {
+      const result = await invalid({
+        code: 'switch (true) { case items: run(); break; case ready: wait(); }',
+        errors: [{ messageId: 'collectionInSwitchTrue' }],
+      });
+      expect(result.output).toBe(
+        'switch (true) { case items.length > 0: run(); break; case ready: wait(); }'
+      );
+      await valid('switch (kind) { case items: run(); }');
     });
 
-    it('has correct rule metadata', () => {
-      expect(rule.meta).toEqual({
-        type: 'problem',
-        docs: expect.objectContaining({
-          description: expect.stringContaining('arrays and objects'),
-          recommended: true,
-        }),
-        fixable: 'code',
-        hasSuggestions: true,
-        schema: expect.any(Array),
-        messages: expect.objectContaining({
-          arrayTruthy: expect.any(String),
-          objectTruthy: expect.any(String),
-          arrayLikeTruthy: expect.any(String),
-        }),
+    it('catches collections returned from isX/hasX functions', async () => {
+      const result = await invalid({
+        code: 'function hasPermissions(user) { return user.roles; }',
+        errors: [
+          {
+            messageId: 'collectionAsBooleanReturn',
+            data: {
+              name: 'hasPermissions',
+              suggestion: 'user.roles.length > 0',
+            },
+          },
+        ],
+      });
+      expect(result.output).toBe(
+        'function hasPermissions(user) { return user.roles.length > 0; }'
+      );
+
+      await invalid({
+        code: 'const isConfigured = () => ({})',
+        errors: [
+          {
+            messageId: 'collectionAsBooleanReturn',
+            data: {
+              name: 'isConfigured',
+              suggestion: 'Object.keys({}).length > 0',
+            },
+          },
+        ],
+      });
+      await invalid({
+        code: 'const api = { hasTags(post) { return post.tags; } }',
+        errors: [{ messageId: 'collectionAsBooleanReturn' }],
       });
     });
 
-    it('exports a valid ESLint rule', () => {
-      expect(typeof rule.create).toBe('function');
-      expect(typeof rule.meta).toBe('object');
+    it('ignores returns from other functions', async () => {
+      await valid('function getRoles(user) { return user.roles; }');
+      await valid('function history() { return []; }');
+      await valid('function isReady() { return user.roles.length > 0; }');
+      await valid('function isReady() { const f = () => []; return f; }');
     });
-  });
 
-  describe('Parameterized Boolean Contexts', () => {
-    const { invalid } = createRuleTester({
-      name: 'param-boolean-contexts',
-      rule,
-      configs: baseConfig,
+    it('makes the boolean function names configurable', async () => {
+      await invalid({
+        code: 'function canEdit(user) { return user.roles; }',
+        options: [{ booleanFunctionNames: { extend: ['/^can[A-Z]/'] } }],
+        errors: [{ messageId: 'collectionAsBooleanReturn' }],
+      });
+      await valid({
+        code: 'function hasPermissions(user) { return user.roles; }',
+        options: [{ booleanFunctionNames: { exclude: ['hasPermissions'] } }],
+      });
     });
 
-    const booleanCases = [
-      // Array
-      {
-        code: 'if ([]) { foo() }',
-        errors: [{ messageId: 'arrayTruthy' }],
-        output: 'if ([].length > 0) { foo() }',
-      },
-      {
-        code: 'while ([]) { bar() }',
-        errors: [{ messageId: 'arrayTruthy' }],
-        output: 'while ([].length > 0) { bar() }',
-      },
-      // Object
-      {
-        code: 'if ({}) { foo() }',
-        errors: [{ messageId: 'objectTruthy' }],
-        output: 'if (Object.keys({}).length > 0) { foo() }',
-      },
+    it('catches collections in assertions', async () => {
+      const result = await invalid({
+        code: 'assert(results)',
+        errors: [
+          {
+            messageId: 'collectionInAssertion',
+            data: { name: 'assert', suggestion: 'results.length > 0' },
+          },
+        ],
+      });
+      expect(result.output).toBe('assert(results.length > 0)');
+
+      await invalid({
+        code: 'assert.ok(new Map())',
+        errors: [{ messageId: 'collectionInAssertion' }],
+      });
+      await invalid({
+        code: 'expect(users.filter(isAdmin)).toBeTruthy()',
+        errors: [
+          {
+            messageId: 'collectionInAssertion',
+            data: {
+              name: 'expect().toBeTruthy',
+              suggestion: 'users.filter(isAdmin).length > 0',
+            },
+          },
+        ],
+      });
+      await invalid({
+        code: 'expect({}).not.toBeFalsy()',
+        errors: [
+          {
+            messageId: 'collectionInAssertion',
+            data: {
+              name: 'expect().not.toBeFalsy',
+              suggestion: 'Object.keys({}).length > 0',
+            },
+          },
+        ],
+      });
+    });
+
+    it('explains falsy assertions that can never pass', async () => {
+      const falsy = await invalid({
+        code: 'const items = []; expect(items).toBeFalsy()',
+        errors: [
+          {
+            messageId: 'collectionInFailingAssertion',
+            data: {
+              name: 'expect().toBeFalsy',
+              suggestion: 'items.length > 0',
+            },
+          },
+        ],
+      });
+      expect(falsy.output).toBe(
+        'const items = []; expect(items.length > 0).toBeFalsy()'
+      );
+      await invalid({
+        code: 'expect(new Set()).not.toBeTruthy()',
+        errors: [
+          {
+            messageId: 'collectionInFailingAssertion',
+            data: {
+              name: 'expect().not.toBeTruthy',
+              suggestion: 'new Set().size > 0',
+            },
+          },
+        ],
+      });
+    });
+
+    it('makes the assertion functions configurable', async () => {
+      await invalid({
+        code: 'ensure(items)',
+        options: [{ assertFunctions: { extend: ['ensure'] } }],
+        errors: [{ messageId: 'collectionInAssertion' }],
+      });
+      await valid({
+        code: 'assert(items)',
+        options: [{ assertFunctions: { replace: [] } }],
+      });
+      await valid('expect(items).toEqual([])');
+    });
+
+    it('checks Boolean() arguments when explicit coercion is disallowed', async () => {
+      await valid('const ok = Boolean([])');
+      const result = await invalid({
+        code: 'const ok = Boolean([])',
+        options: [{ allowExplicitBoolean: false }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe('const ok = [].length > 0');
+
+      const items = await invalid({
+        code: 'const items = []; const ok = Boolean(items)',
+        options: [{ allowExplicitBoolean: false }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(items.output).toBe(
+        'const items = []; const ok = items.length > 0'
+      );
+      expect(
+        items.messages[0].suggestions.map(suggestion => suggestion.desc)
+      ).not.toContainEqual(expect.stringContaining('Explicit coercion'));
+
+      const negated = await invalid({
+        code: 'const items = []; const ok = Boolean(!items)',
+        options: [{ allowExplicitBoolean: false }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(negated.output).toBe(
+        'const items = []; const ok = items.length === 0'
+      );
+    });
+  });
+
+  describe('Negated Contexts', () => {
+    const { invalid } = createRuleTester({
+      name: 'negated-contexts',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('rewrites negations into emptiness checks', async () => {
+      const cases = [
+        ['if (![]) {}', 'if ([].length === 0) {}'],
+        [
+          'const items = []; if (!items) {}',
+          'const items = []; if (items.length === 0) {}',
+        ],
+        [
+          'const bag = {}; if (!bag) {}',
+          'const bag = {}; if (Object.keys(bag).length === 0) {}',
+        ],
+        [
+          'const seen = new Set(); if (!seen) {}',
+          'const seen = new Set(); if (seen.size === 0) {}',
+        ],
+        [
+          'const items = []; const idle = !items && ready',
+          'const items = []; const idle = items.length === 0 && ready',
+        ],
+      ];
+      for (const [code, output] of cases) {
+        const result = await invalid({ code, errors: 1 });
+        expect(result.output).toBe(output);
+      }
+    });
+
+    it('reports the negated form in the message', async () => {
+      await invalid({
+        code: 'const items = []; if (!items) {}',
+        errors: [
+          {
+            messageId: 'arrayTruthy',
+            data: { suggestion: 'items.length === 0' },
+          },
+        ],
+      });
+    });
+
+    it('rewrites double negation when explicit coercion is disallowed', async () => {
+      const options = [{ allowExplicitBoolean: false }];
+      const cases = [
+        [
+          'const items = []; const ok = !!items',
+          'const items = []; const ok = items.length > 0',
+        ],
+        [
+          'const bag = {}; if (!!bag) {}',
+          'const bag = {}; if (Object.keys(bag).length > 0) {}',
+        ],
+        [
+          'const items = []; const ok = !!!items',
+          'const items = []; const ok = !(items.length > 0)',
+        ],
+      ];
+      for (const [code, output] of cases) {
+        const result = await invalid({ code, options, errors: 1 });
+        expect(result.output).toBe(output);
+      }
+    });
+
+    it('parenthesizes checks that bind looser than their surroundings', async () => {
+      const cases = [
+        [
+          'const items = []; const n = !items + 1',
+          'const items = []; const n = (items.length === 0) + 1',
+        ],
+        [
+          'const items = []; const n = -!items',
+          'const items = []; const n = -(items.length === 0)',
+        ],
+        [
+          'const items = []; const t = typeof !items',
+          'const items = []; const t = typeof (items.length === 0)',
+        ],
+        [
+          'async function f() { const items = []; return await !items }',
+          'async function f() { const items = []; return await (items.length === 0) }',
+        ],
+        [
+          'const items = []; const s = (!items).toString()',
+          'const items = []; const s = (items.length === 0).toString()',
+        ],
+        [
+          'const items = []; const x = !items < limit',
+          'const items = []; const x = (items.length === 0) < limit',
+        ],
+      ];
+      for (const [code, output] of cases) {
+        const result = await invalid({ code, errors: 1 });
+        expect(result.output).toBe(output);
+      }
+    });
+
+    it('negates fixStyle templates', async () => {
+      const fixStyle = {
+        array: '!isEmpty({{expr}})',
+        object: 'Reflect.ownKeys({{expr}}).length > 0',
+        sized: 'hasItems({{expr}})',
+      };
+      const cases = [
+        [
+          'const items = []; if (!items) {}',
+          'const items = []; if (isEmpty(items)) {}',
+        ],
+        [
+          'const bag = {}; if (!bag) {}',
+          'const bag = {}; if (Reflect.ownKeys(bag).length === 0) {}',
+        ],
+        [
+          'const seen = new Set(); if (!seen) {}',
+          'const seen = new Set(); if (!hasItems(seen)) {}',
+        ],
+      ];
+      for (const [code, output] of cases) {
+        const result = await invalid({
+          code,
+          options: [{ fixStyle }],
+          errors: 1,
+        });
+        expect(result.output).toBe(output);
+      }
+
+      const compound = await invalid({
+        code: 'const items = []; if (!items) {}',
+        options: [{ fixStyle: { array: '{{expr}}.length !== 0' } }],
+        errors: 1,
+      });
+      expect(compound.output).toBe(
+        'const items = []; if (!(items.length !== 0)) {}'
+      );
+    });
+
+    it('keeps the element suggestion for negated suspicious Sets', async () => {
+      const result = await invalid({
+        code: 'if (!new Set([item])) {}',
+        errors: 1,
+      });
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions[0].desc).toContain('if (item)');
+      expect(suggestions[2].desc).toContain('new Set([item]).size === 0');
+    });
+  });
+
+  describe('Logical Operators', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'logical-operators',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('never reports nullish coalescing', async () => {
+      await valid('const list = items ?? []');
+      await valid('const opts = options ?? {}');
+      await valid('const x = [] ?? fallback');
+    });
+
+    it('explains || defaults that never fall back', async () => {
+      const result = await invalid({
+        code: 'const list = items || fallback',
+        errors: [
+          {
+            messageId: 'collectionOrDefault',
+            data: {
+              suggestion: 'items.length > 0 ? items : fallback',
+            },
+          },
+        ],
+      });
+      expect(result.output).toBe('const list = items || fallback');
+      expect(result.messages[0].suggestions[0].desc).toBe(
+        'Fall back when empty: Use items.length > 0 ? items : fallback'
+      );
+
+      const objectResult = await invalid({
+        code: 'const merged = this.options || defaults',
+        options: [{ objectProperties: { extend: ['options'] } }],
+        errors: [{ messageId: 'collectionOrDefault' }],
+      });
+      expect(objectResult.output).toBe(
+        'const merged = this.options || defaults'
+      );
+      expect(objectResult.messages[0].suggestions[0].desc).toContain(
+        'Object.keys(this.options).length > 0 ? this.options : defaults'
+      );
+    });
+
+    it('never autofixes || defaults, which guard against undefined', async () => {
+      const result = await invalid({
+        code: 'function f(options) { const o = options || defaults; }',
+        options: [{ autofix: 'always' }],
+        errors: [{ messageId: 'collectionOrDefault' }],
+      });
+      expect(result.output).toBe(
+        'function f(options) { const o = options || defaults; }'
+      );
+    });
+
+    it('ignores || defaults to an empty collection of the same kind', async () => {
+      await valid('const list = items || []');
+      await valid('function f(options) { const o = options || {}; }');
+      await valid(
+        'const visited = new Set(); const seen = visited || new Set();'
+      );
+      await invalid({
+        code: 'const list = items || {}',
+        errors: [{ messageId: 'collectionOrDefault' }],
+      });
+    });
+
+    it('only suggests || default fixes for plain references', async () => {
+      const result = await invalid({
+        code: 'const list = rows.filter(isValid) || fallback',
+        errors: [{ messageId: 'collectionOrDefault' }],
+      });
+      expect(result.output).toBe(
+        'const list = rows.filter(isValid) || fallback'
+      );
+      expect(result.messages[0].suggestions ?? []).toHaveLength(0);
+    });
+
+    it('does not report collections used as || fallback values', async () => {
+      await valid('const list = input || []');
+      await valid('const opts = context.options[0] || {}');
+      await valid('const x = ready && []');
+    });
+
+    it('treats || inside a test as a truthiness check', async () => {
+      const result = await invalid({
+        code: 'if (items || other) { use() }',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+      expect(result.output).toBe('if (items.length > 0 || other) { use() }');
+      await invalid({
+        code: 'if (ready || []) { use() }',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+    });
+
+    it('keeps reporting && guards', async () => {
+      await invalid({
+        code: 'const x = items && render(items)',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+      await invalid({
+        code: 'const x = !(ready && {})',
+        errors: [{ messageId: 'objectInLogical' }],
+      });
+    });
+  });
+
+  describe('JSX and Template Literal Rendering', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'rendering-contexts',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('catches collections guarding JSX children', async () => {
+      const result = await invalid({
+        code: 'const el = <div>{items && <List items={items} />}</div>',
+        errors: [
+          {
+            messageId: 'collectionRendered',
+            data: { suggestion: 'items.length > 0' },
+          },
+        ],
+      });
+      expect(result.output).toBe(
+        'const el = <div>{items.length > 0 && <List items={items} />}</div>'
+      );
+    });
+
+    it('catches member and method collections in JSX', async () => {
+      const result = await invalid({
+        code: 'const el = <ul>{user.roles && <Roles />}{data.filter(f) && <Rows />}</ul>',
+        errors: [
+          { messageId: 'collectionRendered' },
+          { messageId: 'collectionRendered' },
+        ],
+      });
+      expect(result.output).toBe(
+        'const el = <ul>{user.roles.length > 0 && <Roles />}{data.filter(f).length > 0 && <Rows />}</ul>'
+      );
+    });
+
+    it('catches collections in JSX attribute expressions', async () => {
+      await invalid({
+        code: 'const el = <Panel footer={filters && <Reset />} />',
+        errors: [{ messageId: 'collectionRendered' }],
+      });
+    });
+
+    it('catches collections guarding template literal parts', async () => {
+      const result = await invalid({
+        code: 'const label = `Tags: ${tags && tags.join(", ")}`',
+        errors: [{ messageId: 'collectionRendered' }],
+      });
+      expect(result.output).toBe(
+        'const label = `Tags: ${tags.length > 0 ? tags.join(", ") : \'\'}`'
+      );
+    });
+
+    it('allows proper checks and non-collections in JSX', async () => {
+      await valid('const el = <div>{items.length > 0 && <List />}</div>');
+      await valid('const el = <div>{isOpen && <Modal />}</div>');
+      await valid('const el = <div>{user.name && <Name />}</div>');
+      await valid('const el = <div>{items ?? <Empty />}</div>');
+    });
+
+    it('uses the regular message outside rendering positions', async () => {
+      await invalid({
+        code: 'const Component = () => items && <List />',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+    });
+  });
+
+  describe('Edge Cases and Error Handling', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'edge-cases',
+      rule,
+      configs: baseConfig,
+    });
+
+    const wrappedInvalid = async function (opts, ...args) {
+      const originalCode = opts.code;
+      const wasWrapped = typeof opts.code === 'string' && needsWrap(opts.code);
+
+      if (wasWrapped) {
+        const result = await invalid(
+          { ...opts, code: wrap(opts.code) },
+          ...args
+        );
+        if (result.output) {
+          result.output = unwrap(result.output, originalCode);
+        }
+        return result;
+      }
+      return invalid(opts, ...args);
+    };
+
+    it('handles null and undefined safely', async () => {
+      await valid('if (null) { never() }');
+      await valid('if (undefined) { never() }');
+      await valid('if (void 0) { never() }');
+    });
+
+    it('handles function calls that might return collections', async () => {
+      await valid('if (getArray()) { process() }');
+      await valid('if (user.getItems()) { iterate() }');
+      await valid('if (api.fetchData()) { render() }');
+    });
+
+    it('handles complex member expressions', async () => {
+      await valid('if (obj.prop.items) { use() }');
+      await valid('if (window.localStorage) { save() }');
+      await valid('if (document.querySelectorAll) { select() }');
+    });
+
+    it('handles destructured collections', async () => {
+      // These are variables, not literals, so confidence is lower
+      await valid('const [first, ...rest] = items; if (rest) { process() }');
+      await valid(
+        'const { data, ...others } = response; if (others) { use() }'
+      );
+    });
+
+    it('handles collections with comments and whitespace', async () => {
+      const result = await wrappedInvalid({
+        code: `
+          if (
+            /* empty array */ []
+          ) {
+            process()
+          }
+        `,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toContain('[].length > 0');
+    });
+
+    it('specifically handles the new Set([x]) gotcha', async () => {
+      // This is the edge case we identified
+      const result = await wrappedInvalid({
+        code: 'if (new Set([userInput])) { validate() }',
+        errors: [{ message: expect.stringContaining('always has size 1') }],
+      });
+
+      // Should provide helpful alternatives
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions[0].desc).toContain('if (userInput)');
+      expect(suggestions[1].desc).toContain('new Set(userInput).size > 0');
+    });
+
+    it('handles edge case where Set([x]) element is complex', async () => {
+      const result = await wrappedInvalid({
+        code: 'if (new Set([obj.prop?.items])) { process() }',
+        errors: [{ message: expect.stringContaining('always has size 1') }],
+      });
+
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions[0].desc).toContain('if (obj.prop?.items)');
+    });
+  });
+
+  describe('Real-world Code Patterns', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'real-world',
+      rule,
+      configs: baseConfig,
+    });
+
+    const wrappedValid = async function (code, ...args) {
+      if (typeof code === 'string' && needsWrap(code)) {
+        return valid(wrap(code), ...args);
+      }
+      return valid(code, ...args);
+    };
+    const wrappedInvalid = async function (opts, ...args) {
+      const originalCode = opts.code;
+      const wasWrapped = typeof opts.code === 'string' && needsWrap(opts.code);
+
+      if (wasWrapped) {
+        const result = await invalid(
+          { ...opts, code: wrap(opts.code) },
+          ...args
+        );
+        if (result.output) {
+          result.output = unwrap(result.output, originalCode);
+        }
+        return result;
+      }
+      return invalid(opts, ...args);
+    };
+
+    it('catches common React patterns', async () => {
+      await wrappedInvalid({
+        code: 'const Component = () => [] && <List items={items} />',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+
+      await wrappedInvalid({
+        code: 'const hasData = {} ? <Content data={data} /> : <Loading />',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+    });
+
+    it('catches common Node.js patterns', async () => {
+      await wrappedInvalid({
+        code: 'if ([]) { parseArgs() }',
+        options: [{ strictNaming: true }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+
+      await wrappedInvalid({
+        code: 'const config = {} && loadConfig()',
+        errors: [{ messageId: 'objectInLogical' }],
+      });
+    });
+
+    it('catches common API response patterns', async () => {
+      // Copy the exact pattern from "catches empty object literals in if statements" which is passing
+      const result = await wrappedInvalid({
+        code: 'if ({}) { doSomething() }',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toBe(
+        'if (Object.keys({}).length > 0) { doSomething() }'
+      );
+    });
+
+    it('allows proper validation patterns', async () => {
+      await wrappedValid('if (items && items.length > 0) { process() }');
+      await wrappedValid(
+        'if (config && Object.keys(config).length) { apply() }'
+      );
+      await wrappedValid('if (collection?.size) { iterate() }');
+    });
+  });
+
+  describe('File Skipping Safety Net', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'file-skipping',
+      rule,
+      // Flat config ignores node_modules by default; un-ignore it so the
+      // rule's own check is what gets exercised
+      configs: [{ ignores: ['!**/node_modules/'] }, baseConfig],
+    });
+
+    it('automatically skips node_modules files', async () => {
+      await valid({
+        code: 'if ([]) { process() }',
+        filename: 'node_modules/some-pkg/index.js',
+      });
+      await valid({
+        code: 'if ([]) { process() }',
+        filename: 'packages/app/node_modules/dep/lib/util.js',
+      });
+    });
+
+    it('automatically skips build directories', async () => {
+      await valid({ code: 'if ([]) { process() }', filename: 'dist/app.js' });
+      await valid({
+        code: 'if ([]) { process() }',
+        filename: 'packages/ui/build/index.js',
+      });
+    });
+
+    it('automatically skips minified files', async () => {
+      await valid({ code: 'if ([]) { process() }', filename: 'vendor.min.js' });
+      await valid({
+        code: `var a = 1;${' '.repeat(1000)}if ([]) { process() }`,
+        filename: 'src/vendor.js',
+      });
+      await valid({
+        code: 'if ([]) { process() }\n//# sourceMappingURL=app.js.map\n',
+        filename: 'src/app.js',
+      });
+      await valid({
+        code: '/* @generated by protoc */\nif ([]) { process() }',
+        filename: 'src/schema.js',
+      });
+    });
+
+    it('still processes normal source files', async () => {
+      await invalid({
+        code: 'if ([]) { process() }',
+        filename: 'src/distance.js',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: '// @see docs/generated.md\nif ([]) { process() }',
+        filename: 'src/index.js',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('replaces the default globs with ignorePatterns', async () => {
+      const options = [{ ignorePatterns: ['legacy/**', '*.gen.js'] }];
+      await valid({
+        code: 'if ([]) { process() }',
+        filename: 'legacy/old.js',
+        options,
+      });
+      await valid({
+        code: 'if ([]) { process() }',
+        filename: 'src/api.gen.js',
+        options,
+      });
+      await invalid({
+        code: 'if ([]) { process() }',
+        filename: 'dist/app.js',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('checks generated-looking files when skipGenerated is false', async () => {
+      await invalid({
+        code: 'if ([]) { process() }\n//# sourceMappingURL=app.js.map\n',
+        filename: 'src/app.js',
+        options: [{ skipGenerated: false }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+  });
+
+  describe('Suggestion Testing', () => {
+    const { invalid } = createRuleTester({
+      name: 'suggestions',
+      rule,
+      configs: baseConfig,
+    });
+
+    const wrappedInvalid = async function (opts, ...args) {
+      const originalCode = opts.code;
+      const wasWrapped = typeof opts.code === 'string' && needsWrap(opts.code);
+
+      if (wasWrapped) {
+        const result = await invalid(
+          { ...opts, code: wrap(opts.code) },
+          ...args
+        );
+        if (result.output) {
+          result.output = unwrap(result.output, originalCode);
+        }
+        return result;
+      }
+      return invalid(opts, ...args);
+    };
+
+    it('provides multiple suggestions for arrays', async () => {
+      const result = await wrappedInvalid({
+        code: 'if ([]) { process() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions).toHaveLength(2);
+      expect(suggestions[0].desc).toContain('.length > 0');
+      expect(suggestions[1].desc).toContain('Boolean([])');
+    });
+
+    it('provides multiple suggestions for objects', async () => {
+      const result = await wrappedInvalid({
+        code: 'if ({}) { process() }',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions).toHaveLength(2);
+      expect(suggestions[0].desc).toContain('Object.keys({}).length > 0');
+      expect(suggestions[1].desc).toContain('Boolean({})');
+    });
+
+    it('provides appropriate suggestions for array-like types', async () => {
+      const result = await wrappedInvalid({
+        code: 'if (new Set()) { iterate() }',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions[0].desc).toContain('.size > 0');
+    });
+  });
+
+  describe('Performance and Memory', () => {
+    const { invalid } = createRuleTester({
+      name: 'performance',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('handles deeply nested structures without stack overflow', async () => {
+      // Create deeply nested parentheses around array literal
+      const nestedParens = '('.repeat(20) + '[]' + ')'.repeat(20);
+      const deepNesting = `if (${nestedParens}) { work() }`;
+
+      await invalid({
+        code: `function testWrapper() {\n${deepNesting}\n}`,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('handles very long variable names', async () => {
+      const longName = 'a'.repeat(100) + 'Array';
+
+      await invalid({
+        code: `if (${longName}) { process() }`,
+        options: [{ strictNaming: true }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+  });
+
+  // Setup and teardown
+  describe('Rule Setup and Configuration', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('has correct rule metadata', () => {
+      expect(rule.meta).toEqual({
+        type: 'problem',
+        docs: expect.objectContaining({
+          description: expect.stringContaining('arrays and objects'),
+          recommended: true,
+        }),
+        fixable: 'code',
+        hasSuggestions: true,
+        schema: expect.any(Array),
+        messages: expect.objectContaining({
+          arrayTruthy: expect.any(String),
+          objectTruthy: expect.any(String),
+          arrayLikeTruthy: expect.any(String),
+        }),
+      });
+    });
+
+    it('exports a valid ESLint rule', () => {
+      expect(typeof rule.create).toBe('function');
+      expect(typeof rule.meta).toBe('object');
+    });
+  });
+
+  describe('Parameterized Boolean Contexts', () => {
+    const { invalid } = createRuleTester({
+      name: 'param-boolean-contexts',
+      rule,
+      configs: baseConfig,
+    });
+
+    const booleanCases = [
+      // Array
+      {
+        code: 'if ([]) { foo() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+        output: 'if ([].length > 0) { foo() }',
+      },
+      {
+        code: 'while ([]) { bar() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+        output: 'while ([].length > 0) { bar() }',
+      },
+      // Object
+      {
+        code: 'if ({}) { foo() }',
+        errors: [{ messageId: 'objectTruthy' }],
+        output: 'if (Object.keys({}).length > 0) { foo() }',
+      },
       {
         code: 'while ({}) { bar() }',
         errors: [{ messageId: 'objectTruthy' }],
-        output: 'while (Object.keys({}).length > 0) { bar() }',
-      },
-      // Array-like
-      {
-        code: 'if (new Set()) { foo() }',
+        output: 'while (Object.keys({}).length > 0) { bar() }',
+      },
+      // Array-like
+      {
+        code: 'if (new Set()) { foo() }',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+        output: 'if (new Set().size > 0) { foo() }',
+      },
+      {
+        code: 'while (new Map()) { bar() }',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+        output: 'while (new Map().size > 0) { bar() }',
+      },
+    ];
+
+    it.each(booleanCases)('$code', async ({ code, errors, output }) => {
+      const result = await invalid({ code, errors });
+      expect(result.output).toBe(output);
+    });
+  });
+
+  describe('Additional Edge Cases', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'edge-cases-extra',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('handles destructuring with spread for arrays', async () => {
+      await valid('const [first, ...rest] = arr; if (rest) { foo() }');
+    });
+    it('handles destructuring with spread for objects', async () => {
+      await valid('const { a, ...others } = obj; if (others) { bar() }');
+    });
+    it('handles deeply nested logical expressions', async () => {
+      await invalid({
+        code: 'if ((([] && {}) || new Set())) { foo() }',
+        errors: [
+          { messageId: 'arrayInLogical' },
+          { messageId: 'objectInLogical' },
+          { messageId: 'sizedCollectionTruthy' },
+        ],
+      });
+    });
+    it('handles arrays with comments inside', async () => {
+      const result = await invalid({
+        code: 'if ([/*empty*/]) { foo() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toContain('[/*empty*/].length > 0');
+    });
+    it('handles objects with comments inside', async () => {
+      const result = await invalid({
+        code: 'if ({ /*empty*/ }) { bar() }',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toContain('Object.keys({ /*empty*/ }).length > 0');
+    });
+  });
+  describe('Scope-Based Dataflow Tracking', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'dataflow',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('flags variables initialized with collections regardless of name', async () => {
+      const result = await invalid({
+        code: 'const list = []; if (list) { use() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe(
+        'const list = []; if (list.length > 0) { use() }'
+      );
+
+      await invalid({
+        code: 'const bag = {}; const x = bag && run()',
+        errors: [{ messageId: 'objectInLogical' }],
+      });
+      await invalid({
+        code: 'const seen = new Set(); while (seen) { break }',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      await invalid({
+        code: 'const doubled = nums.map(n => n * 2); if (doubled) { use() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('follows variables through nested scopes', async () => {
+      await invalid({
+        code: 'const acc = []; function run() { if (acc) { flush() } }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('follows aliases of collection variables', async () => {
+      await invalid({
+        code: 'const a = []; const b = a; if (b) { use() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('accepts reassignments to the same kind of collection', async () => {
+      await invalid({
+        code: 'let buf = []; buf = buf.concat(more); if (buf) { use() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('skips variables reassigned to non-collections', async () => {
+      await valid('let list = []; list = null; if (list) { use() }');
+      await valid('let items = []; items = undefined; if (items) { use() }');
+      await valid('let bag = {}; bag = "none"; if (bag) { use() }');
+    });
+
+    it('skips variables whose writes cannot be proven', async () => {
+      await valid('let list = []; list = load(); if (list) { use() }');
+      await valid('let list = []; list += "x"; if (list) { use() }');
+      await valid('let list; list = []; if (list) { use() }');
+      await valid('const list = ready ? [] : null; if (list) { use() }');
+      await valid('let a = [], b = {}; a = b; if (a) { use() }');
+    });
+
+    it('skips parameters and destructured bindings', async () => {
+      await valid('function f(list = []) { if (list) { use() } }');
+      await valid('const [list] = [[]]; if (list) { use() }');
+    });
+  });
+
+  describe('Class Properties', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'class-properties',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('follows constructor assignments to this.x', async () => {
+      const result = await invalid({
+        code: 'class Worker { constructor() { this.queue = []; } run() { if (this.queue) {} } }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe(
+        'class Worker { constructor() { this.queue = []; } run() { if (this.queue.length > 0) {} } }'
+      );
+    });
+
+    it('follows class field initializers, private and static fields', async () => {
+      await invalid({
+        code: 'class Store { cache = new Map(); has() { return this.cache ? 1 : 0 } }',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      await invalid({
+        code: 'class Store { #pending = {}; flush() { if (!this.#pending) {} } }',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      await invalid({
+        code: 'class Store { static registry = new Set(); static get() { if (this.registry) {} } }',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      await valid(
+        'class Store { static registry = new Set(); get() { if (this.registry) {} } }'
+      );
+    });
+
+    it('follows arrow functions but not nested functions or classes', async () => {
+      await invalid({
+        code: 'class Worker { queue = []; start() { setTimeout(() => { if (this.queue) {} }) } }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await valid(
+        'class Worker { queue = []; start() { setTimeout(function () { if (this.queue) {} }) } }'
+      );
+      await valid(
+        'class Worker { queue = []; start() { return class { run() { if (this.queue) {} } } } }'
+      );
+    });
+
+    it('skips properties ever set to null or undefined', async () => {
+      await valid(
+        'class Worker { queue = []; stop() { this.queue = null } run() { if (this.queue) {} } }'
+      );
+      await valid(
+        'class Worker { constructor() { this.queue = []; } stop() { this.queue = undefined } run() { if (this.queue) {} } }'
+      );
+      await valid(
+        'class Worker { queue = []; stop() { delete this.queue } run() { if (this.queue) {} } }'
+      );
+    });
+
+    it('needs every write in the class to agree', async () => {
+      await valid(
+        'class Worker { queue = []; load(data) { this.queue = data.next } run() { if (this.queue) {} } }'
+      );
+      await valid(
+        'class Worker { queue = []; swap() { this.queue = new Set() } run() { if (this.queue) {} } }'
+      );
+      await invalid({
+        code: 'class Worker { queue = []; reset() { this.queue = [] } run() { if (this.queue) {} } }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+  });
+
+  describe('Guard-Aware Narrowing', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'guards',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('flags truthiness tests after an early exit on the size', async () => {
+      const result = await invalid({
+        code: 'function f(items) { if (items.length === 0) return; if (items) {} }',
+        errors: [
+          {
+            messageId: 'guardedCollectionTest',
+            data: {
+              name: 'items',
+              guard: 'items.length === 0',
+              line: 1,
+              fact: 'not null or undefined',
+            },
+          },
+        ],
+      });
+      expect(result.output).toBe(
+        'function f(items) { if (items.length === 0) return; if (items) {} }'
+      );
+
+      await invalid({
+        code: `
+          const seen = new Set();
+          function check() {
+            if (!seen.size) {
+              throw new Error('empty');
+            }
+            return seen ? 1 : 2;
+          }
+        `,
+        errors: [{ messageId: 'guardedCollectionTest', line: 7 }],
+      });
+      await invalid({
+        code: 'function f(items) { for (;;) { if (!items.length) continue; use(!items) } }',
+        errors: [{ messageId: 'guardedCollectionTest' }],
+      });
+    });
+
+    it('treats Array.isArray() as proof of an array', async () => {
+      const result = await invalid({
+        code: 'function f(value) { if (Array.isArray(value) && value) {} }',
+        errors: [
+          {
+            messageId: 'guardedCollectionTest',
+            data: {
+              name: 'value',
+              guard: 'Array.isArray(value)',
+              line: 1,
+              fact: 'an array',
+            },
+          },
+        ],
+      });
+      expect(result.messages[0].suggestions[0].desc).toBe(
+        'Remove the redundant test: Array.isArray(value)'
+      );
+
+      await invalid({
+        code: 'function f(value) { if (Array.isArray(value)) { return value ? 1 : 2 } }',
+        errors: [{ messageId: 'guardedCollectionTest' }],
+      });
+    });
+
+    it('offers to drop the test from a chain of conditions', async () => {
+      const result = await invalid({
+        code: 'const list = []; if (list.length > 0 && list) {}',
+        errors: [{ messageId: 'guardedCollectionTest' }],
+      });
+      expect(result.messages[0].suggestions).toHaveLength(1);
+
+      const standalone = await invalid({
+        code: 'const list = []; if (!list.length) { throw new Error() } if (list) {}',
+        errors: [{ messageId: 'guardedCollectionTest' }],
+      });
+      expect(standalone.messages[0].suggestions).toBeUndefined();
+    });
+
+    it('only narrows where the guard holds', async () => {
+      await invalid({
+        code: 'function f(items) { if (items.length === 0) { log() } if (items) {} }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'function f(items) { if (ready) { if (!items.length) return; } if (items) {} }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'function f(items) { if (items.length === 0) return; items = []; if (items) {} }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'function f(items) { if (items.length === 0) return; function g() { return !items } }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await valid(
+        'function f(value) { if (value.length === 0) return; if (value) {} }'
+      );
+    });
+
+    it('accepts null checks followed by any size check', async () => {
+      await valid('const list = []; if (list && list.length !== 0) {}');
+      await valid('const list = []; if (!list || 0 === list.length) {}');
+      await valid(
+        'const list = []; if (ready && list && (list.length > 1 || force)) {}'
+      );
+      await valid('const data = {}; if (data && Object.keys(data).length) {}');
+      await invalid({
+        code: 'const list = []; const other = []; if (list && other.length !== 0) {}',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+    });
+  });
+
+  describe('Nested Member Expressions', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'member-depth',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('only checks direct properties by default', async () => {
+      await invalid({
+        code: 'if (response.items) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await valid('if (response.data.items) {}');
+    });
+
+    it('checks this.state and this.props members like this members', async () => {
+      const state = await invalid({
+        code: 'if (this.state.filters) {}',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(state.output).toBe(
+        'if (Object.keys(this.state.filters).length > 0) {}'
+      );
+
+      const props = await invalid({
+        code: 'const list = this.props.items && render();',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+      expect(props.output).toBe(
+        'const list = this.props.items.length > 0 && render();'
+      );
+
+      await valid('if (this.state.form.items) {}');
+      await valid('if (this.context.data.items) {}');
+    });
+
+    it('follows deeper chains up to memberDepth', async () => {
+      const result = await invalid({
+        code: 'if (response.data.items) {}',
+        options: [{ memberDepth: 2 }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe('if (response.data.items.length > 0) {}');
+
+      await invalid({
+        code: 'if (this.state.form.settings) {}',
+        options: [{ memberDepth: 2 }],
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      await valid({
+        code: 'if (response.body.data.items) {}',
+        options: [{ memberDepth: 2 }],
+      });
+      await valid({
+        code: 'if (response.data.count) {}',
+        options: [{ memberDepth: 3 }],
+      });
+    });
+  });
+
+  describe('Optional Chaining', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'optional-chaining',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('checks the last property of a chain', async () => {
+      const result = await invalid({
+        code: 'if (res?.items) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe('if ((res?.items?.length ?? 0) > 0) {}');
+
+      const deep = await invalid({
+        code: 'if (res?.data?.items) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(deep.output).toBe('if ((res?.data?.items?.length ?? 0) > 0) {}');
+
+      const object = await invalid({
+        code: 'if (res?.data?.config) {}',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(object.output).toBe(
+        'if (Object.keys(res?.data?.config ?? {}).length > 0) {}'
+      );
+    });
+
+    it('keeps the short-circuit when negated', async () => {
+      const result = await invalid({
+        code: 'if (!res?.data?.items) { showEmpty() }',
+        errors: 1,
+      });
+      expect(result.output).toBe(
+        'if ((res?.data?.items?.length ?? 0) === 0) { showEmpty() }'
+      );
+    });
+
+    it('checks collection-returning calls at the end of a chain', async () => {
+      const result = await invalid({
+        code: 'if (res?.items.filter(isActive)) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe(
+        'if ((res?.items.filter(isActive)?.length ?? 0) > 0) {}'
+      );
+    });
+
+    it('checks a?.b?.items with the default memberDepth', async () => {
+      const result = await invalid({
+        code: 'if (a?.b?.items) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe('if ((a?.b?.items?.length ?? 0) > 0) {}');
+    });
+
+    it('only counts links written without ?. towards memberDepth', async () => {
+      await valid('if (response.data?.items) {}');
+      await valid('if (a?.b.c?.items) {}');
+      await invalid({
+        code: 'if (response.data?.items) {}',
+        options: [{ memberDepth: 2 }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'if (response?.data.items) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('ignores chains ending in other properties', async () => {
+      await valid('if (res?.data?.count) {}');
+      await valid('if (res?.data?.items?.length) {}');
+      await valid('if (res?.data?.items && res.data.items.length > 0) {}');
+    });
+  });
+
+  describe('JSDoc Annotations', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'jsdoc',
+      rule,
+      configs: baseConfig,
+    });
+
+    it('reads @returns on function declarations and expressions', async () => {
+      const result = await invalid({
+        code: '/** @returns {User[]} */ function load() {} if (load()) { use() }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe(
+        '/** @returns {User[]} */ function load() {} if (load().length > 0) { use() }'
+      );
+
+      await invalid({
+        code: '/** @return {Map<string, X>} */ const index = () => new Map(); while (index()) {}',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      await invalid({
+        code: '/** @returns {Object.<string, number>} */ const count = function () {}; const x = count() && 1',
+        errors: [{ messageId: 'objectInLogical' }],
+      });
+    });
+
+    it('reads @type on variables and @param on parameters', async () => {
+      await invalid({
+        code: '/** @type {Array<string>} */ let names = load(); if (names) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: '/**\n * @param {string} label\n * @param {Set<string>} tags\n */\nfunction tag(label, tags) { if (tags) {} }',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      await invalid({
+        code: '/** @param {number[]} [ids=[]] */ function f(ids = []) { if (ids) {} }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('follows variables assigned from documented calls', async () => {
+      await invalid({
+        code: '/** @returns {string[]} */ function load() {} const rows = load(); if (rows) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await valid(
+        '/** @returns {string[]} */ function load() {} let rows = load(); rows = null; if (rows) {}'
+      );
+    });
+
+    it('resolves typedefs', async () => {
+      await invalid({
+        code: '/** @typedef {Object} User\n * @property {string} name */\n/** @typedef {User[]} Users */\n/** @returns {Users} */ function load() {} if (load()) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: '/** @typedef {Object} User */\n/** @type {User} */ const user = load(); if (user) {}',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+    });
+
+    it('reads class fields, methods and getters through this', async () => {
+      await invalid({
+        code: 'class Store { /** @type {string[]} */ rows = load(); check() { if (this.rows) {} } }',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'class Store { /** @returns {Set<string>} */ keys() {} check() { if (this.keys()) {} } }',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      await invalid({
+        code: 'class Store { /** @returns {{ id: number }} */ get meta() {} check() { return () => this.meta ? 1 : 0 } }',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+    });
+
+    it('treats nullable and optional annotations as nullable', async () => {
+      await valid('/** @type {?string[]} */ let rows = null; if (rows) {}');
+      await valid(
+        '/** @returns {string[] | undefined} */ function load() {} if (load()) {}'
+      );
+      await valid(
+        '/** @param {string[]=} rows */ function f(rows) { if (rows) {} }'
+      );
+      await valid(
+        '/** @param {string[]} [rows] */ function f(rows) { if (rows) {} }'
+      );
+      await invalid({
+        code: '/** @type {?string[]} */ let rows = null; if (rows) {}',
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'nullableCollectionTruthy' }],
+      });
+    });
+
+    it('lets documented non-collections override name heuristics', async () => {
+      await valid('/** @type {string} */ const items = load(); if (items) {}');
+      await valid(
+        '/** @returns {Promise<string[]>} */ function list() {} const items = list(); if (items) {}'
+      );
+    });
+
+    it('ignores unknown and untyped annotations', async () => {
+      await valid('/** @type {*} */ const data = load(); if (data) {}');
+      await valid('/** @type {Object} */ const data = load(); if (data) {}');
+      await valid('/** @returns {Result} */ function run() {} if (run()) {}');
+      await valid('/** Loads rows */ function load() {} if (load()) {}');
+      await valid('/** @type {string[]} */ let a = [], b; if (b) {}');
+    });
+  });
+
+  describe('TypeScript Type Information', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'type-checker',
+      rule,
+      configs: typedConfig,
+    });
+
+    it('flags array, tuple and readonly array types', async () => {
+      const result = await invalid({
+        code: 'declare const list: string[]; if (list) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe(
+        'declare const list: string[]; if (list.length > 0) {}'
+      );
+
+      await invalid({
+        code: 'declare const pair: [number, number]; if (pair) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'declare const ro: ReadonlyArray<number>; const x = ro && 1;',
+        errors: [{ messageId: 'arrayInLogical' }],
+      });
+    });
+
+    it('flags Set, Map, WeakSet and WeakMap types', async () => {
+      const result = await invalid({
+        code: 'declare const seen: Set<string>; if (seen) {}',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      expect(result.output).toBe(
+        'declare const seen: Set<string>; if (seen.size > 0) {}'
+      );
+
+      await invalid({
+        code: 'declare const lookup: Map<string, number>; if (lookup) {}',
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      const weak = await invalid({
+        code: 'declare const cache: WeakMap<object, number>; if (cache) {}',
+        errors: [{ messageId: 'weakCollectionTruthy' }],
+      });
+      expect(weak.output).toBe(
+        'declare const cache: WeakMap<object, number>; if (cache) {}'
+      );
+    });
+
+    it('measures typed arrays and arguments by length', async () => {
+      const result = await invalid({
+        code: 'declare const bytes: Uint8Array; if (bytes) {}',
         errors: [{ messageId: 'arrayLikeTruthy' }],
-        output: 'if (new Set().size > 0) { foo() }',
-      },
-      {
-        code: 'while (new Map()) { bar() }',
+      });
+      expect(result.output).toBe(
+        'declare const bytes: Uint8Array; if (bytes.length > 0) {}'
+      );
+      await invalid({
+        code: 'declare const args: IArguments; if (args) {}',
         errors: [{ messageId: 'arrayLikeTruthy' }],
-        output: 'while (new Map().size > 0) { bar() }',
-      },
-    ];
+      });
+    });
+
+    it('ignores nullable weak collections', async () => {
+      await valid({
+        code: 'declare const cache: WeakMap<object, number> | undefined; if (cache) {}',
+        options: [{ nullableCollections: 'report' }],
+      });
+    });
+
+    it('flags plain object types regardless of variable name', async () => {
+      const result = await invalid({
+        code: 'declare const thing: { a: number }; if (thing) {}',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toBe(
+        'declare const thing: { a: number }; if (Object.keys(thing).length > 0) {}'
+      );
 
-    it.each(booleanCases)('$code', async ({ code, errors, output }) => {
-      const result = await invalid({ code, errors });
-      expect(result.output).toBe(output);
+      const counts = await invalid({
+        code: 'declare const counts: Record<string, number>; if (counts) {}',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(counts.output).toBe(
+        'declare const counts: Record<string, number>; if (Object.keys(counts).length > 0) {}'
+      );
+    });
+
+    it('only suggests checks for interfaces, which classes may implement', async () => {
+      const code =
+        'interface Shape { id: string } declare const s: Shape; if (s) {}';
+      const result = await invalid({
+        code,
+        options: [{ autofix: 'high-confidence' }],
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toBe(code);
+      expect(result.messages[0].suggestions[0].desc).toContain(
+        'Object.keys(s).length > 0'
+      );
+    });
+
+    it('ignores interfaces made only of methods', async () => {
+      await valid(
+        'interface Logger { log(): void } declare const logger: Logger; if (logger) {}'
+      );
+    });
+
+    it('flags unions made only of one collection kind', async () => {
+      await invalid({
+        code: 'declare const ids: string[] | number[]; if (ids) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('lets resolved types override name heuristics', async () => {
+      await valid('declare const items: string; if (items) {}');
+      await valid('declare const config: boolean; if (config) {}');
+      await valid('declare const results: number | null; if (results) {}');
+    });
+
+    it('ignores non-collection object types', async () => {
+      await valid('declare const fn: () => void; if (fn) {}');
+      await valid('declare const when: Date; if (when) {}');
+      await valid('class Store {} declare const store: Store; if (store) {}');
+      await valid('declare const empty: {}; if (empty) {}');
+      await valid('declare const mixed: string[] | Set<string>; if (mixed) {}');
+    });
+
+    it('ignores generic built-in and class types', async () => {
+      await valid('declare const p: Promise<number>; if (p) {}');
+      await valid('declare const items: Promise<string[]>; if (items) {}');
+      await valid(
+        'declare const gen: Generator<number>; const x = gen && gen.next();'
+      );
+      await valid(
+        'class Box<T> { value?: T } declare const box: Box<string>; if (box) {}'
+      );
+    });
+
+    it('falls back to heuristics for any and unknown', async () => {
+      await valid('declare const value: unknown; if (value) {}');
+      await invalid({
+        code: 'declare const items: any; if (items) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('judges optional chains by the declared type of the last property', async () => {
+      const prelude =
+        'declare const res: { data?: { items: string[]; tags?: string[] } } | undefined;';
+      const result = await invalid({
+        code: `${prelude} if (res?.data?.items) {}`,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe(
+        `${prelude} if ((res?.data?.items?.length ?? 0) > 0) {}`
+      );
+      await valid(`${prelude} if (res?.data?.tags) {}`);
+      await valid(`${prelude} if (res?.data) {}`);
+
+      const nullable = await invalid({
+        code: `${prelude} if (res?.data?.tags) {}`,
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'nullableCollectionTruthy' }],
+      });
+      expect(nullable.output).toBe(
+        `${prelude} if ((res?.data?.tags?.length ?? 0) > 0) {}`
+      );
+      expect(nullable.messages[0].suggestions).toHaveLength(1);
     });
   });
 
-  describe('Additional Edge Cases', () => {
+  describe('Nullable Collection Types', () => {
     const { valid, invalid } = createRuleTester({
-      name: 'edge-cases-extra',
+      name: 'nullable-collections',
+      rule,
+      configs: typedConfig,
+    });
+
+    it('treats nullable collections as legitimate nullish checks by default', async () => {
+      await valid('declare const items: string[] | undefined; if (items) {}');
+      await valid('declare const items: string[] | null; if (!items) {}');
+      await valid(
+        'declare const lookup: Map<string, number> | null; const x = lookup && 1;'
+      );
+      await valid(
+        'declare const opts: { a: number } | undefined; if (opts) {}'
+      );
+    });
+
+    it('reports nullable collections with a null-safe fix when enabled', async () => {
+      const result = await invalid({
+        code: 'declare const items: string[] | undefined; if (items) {}',
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'nullableCollectionTruthy' }],
+      });
+      expect(result.output).toBe(
+        'declare const items: string[] | undefined; if (items != null && items.length > 0) {}'
+      );
+
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions).toHaveLength(2);
+      expect(suggestions[1].desc).toContain('(items?.length ?? 0) > 0');
+    });
+
+    it('uses the right null-safe check for objects and Sets', async () => {
+      const objectResult = await invalid({
+        code: 'declare const opts: { a: number } | null; if (opts) {}',
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'nullableCollectionTruthy' }],
+      });
+      expect(objectResult.output).toBe(
+        'declare const opts: { a: number } | null; if (opts != null && Object.keys(opts).length > 0) {}'
+      );
+
+      const setResult = await invalid({
+        code: 'declare const seen: Set<string> | undefined; if (seen) {}',
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'nullableCollectionTruthy' }],
+      });
+      expect(setResult.output).toBe(
+        'declare const seen: Set<string> | undefined; if (seen != null && seen.size > 0) {}'
+      );
+      expect(setResult.messages[0].suggestions[1].desc).toContain(
+        '(seen?.size ?? 0) > 0'
+      );
+    });
+
+    it('negates the null-safe check for negated tests', async () => {
+      const result = await invalid({
+        code: 'declare const items: string[] | undefined; if (!items) {}',
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'nullableCollectionTruthy' }],
+      });
+      expect(result.output).toBe(
+        'declare const items: string[] | undefined; if (items == null || items.length === 0) {}'
+      );
+      expect(result.messages[0].suggestions[1].desc).toContain(
+        '(items?.length ?? 0) === 0'
+      );
+
+      const nested = await invalid({
+        code: 'declare const opts: { a: number } | null; const bare = !opts && ready;',
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'nullableCollectionTruthy' }],
+      });
+      expect(nested.output).toBe(
+        'declare const opts: { a: number } | null; const bare = (opts == null || Object.keys(opts).length === 0) && ready;'
+      );
+    });
+
+    it('keeps the always-truthy report for non-nullable types', async () => {
+      await invalid({
+        code: 'declare const items: string[]; if (items) {}',
+        options: [{ nullableCollections: 'report' }],
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('ignores unions that are only nullish', async () => {
+      await valid({
+        code: 'declare const nothing: null | undefined; if (nothing) {}',
+        options: [{ nullableCollections: 'report' }],
+      });
+    });
+
+    it('narrows nullable collections after a size check', async () => {
+      await invalid({
+        code: 'declare const items: string[] | undefined; function f() { if (!items?.length) return; if (items) {} }',
+        errors: [{ messageId: 'guardedCollectionTest' }],
+      });
+      await valid(
+        'declare const items: string[] | undefined; function f() { if (items?.length === 0) return; if (items) {} }'
+      );
+    });
+  });
+
+  describe('Suspicious Constructors', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'suspicious-constructors',
       rule,
       configs: baseConfig,
     });
 
-    it('handles destructuring with spread for arrays', async () => {
-      await valid('const [first, ...rest] = arr; if (rest) { foo() }');
+    it('flags single-element array literals without autofixing', async () => {
+      const result = await invalid({
+        code: 'if ([items]) {}',
+        errors: [{ messageId: 'singleElementArray' }],
+      });
+      expect(result.output).toBe('if ([items]) {}');
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions).toHaveLength(3);
+      expect(suggestions[0].desc).toContain('if (items)');
+      expect(suggestions[1].desc).toContain('Array.from(items).length > 0');
+      expect(suggestions[2].desc).toContain('[items].length > 0');
     });
-    it('handles destructuring with spread for objects', async () => {
-      await valid('const { a, ...others } = obj; if (others) { bar() }');
+
+    it('flags Array.of(x) with negated suggestions', async () => {
+      const result = await invalid({
+        code: 'if (!Array.of(list)) {}',
+        errors: [{ messageId: 'singleElementArray' }],
+      });
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions[0].desc).toContain('if (list)');
+      expect(suggestions[1].desc).toContain('Array.from(list).length === 0');
     });
-    it('handles deeply nested logical expressions', async () => {
+
+    it('flags sparse arrays and suggests checking the count', async () => {
+      const result = await invalid({
+        code: 'if (new Array(rows.length)) {}',
+        errors: [{ messageId: 'sparseArray' }],
+      });
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions).toHaveLength(2);
+      expect(suggestions[0].desc).toContain('rows.length > 0');
+
+      const literal = await invalid({
+        code: 'if (!new Array(5)) {}',
+        errors: [{ messageId: 'sparseArray' }],
+      });
+      expect(literal.messages[0].suggestions).toHaveLength(1);
+    });
+
+    it('flags Array(0) as always empty', async () => {
+      const result = await invalid({
+        code: 'if (Array(0)) {}',
+        errors: [
+          {
+            messageId: 'alwaysEmptyArray',
+            data: { code: 'Array(0)', result: 'true', lengthResult: 'false' },
+          },
+        ],
+      });
+      expect(result.output).toBe('if (Array(0)) {}');
+
       await invalid({
-        code: 'if ((([] && {}) || new Set())) { foo() }',
+        code: 'if (!Array(0)) {}',
         errors: [
-          { messageId: 'arrayInLogical' },
-          { messageId: 'objectInLogical' },
-          { messageId: 'arrayLikeTruthy' },
+          {
+            messageId: 'alwaysEmptyArray',
+            data: { code: 'Array(0)', result: 'false', lengthResult: 'true' },
+          },
         ],
       });
     });
-    it('handles arrays with comments inside', async () => {
+
+    it('flags single-entry Object.fromEntries() calls', async () => {
       const result = await invalid({
-        code: 'if ([/*empty*/]) { foo() }',
+        code: 'if (Object.fromEntries([[key, value]])) {}',
+        errors: [{ messageId: 'singleEntryObject' }],
+      });
+      const suggestions = result.messages[0].suggestions;
+      expect(suggestions).toHaveLength(2);
+      expect(suggestions[0].desc).toContain('if (value)');
+
+      const keyOnly = await invalid({
+        code: 'if (Object.fromEntries([entry])) {}',
+        errors: [{ messageId: 'objectTruthy' }],
+      });
+      expect(keyOnly.messages[0].suggestions).toHaveLength(2);
+    });
+
+    it('reports other shapes as ordinary collections', async () => {
+      await invalid({
+        code: 'if (["a"]) {}',
         errors: [{ messageId: 'arrayTruthy' }],
       });
-      expect(result.output).toContain('[/*empty*/].length > 0');
+      await invalid({
+        code: 'if ([...items]) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await invalid({
+        code: 'if (new Array("a")) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await valid('if (Array.of(a, b).length > 1) {}');
     });
-    it('handles objects with comments inside', async () => {
+  });
+
+  describe('Precedence-Safe Fixes', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'precedence',
+      rule,
+      configs: typedConfig,
+    });
+    const prelude = [
+      'declare const a: string[];',
+      'declare const b: string[];',
+      'declare const c: boolean;',
+      'declare const m: string[] | undefined;',
+      'declare const o: { id: number };',
+      'declare const u: unknown;',
+      'declare let i: number;',
+      'declare const h: { get(): string[] };',
+      'declare const s: { items: string[] };',
+      'declare function load(): Promise<string[]>;',
+      'declare function tag(s: TemplateStringsArray): string[];',
+      '',
+    ].join('\n');
+
+    // Every ESTree and TypeScript expression type that can evaluate to a
+    // collection, as [operand node type, code, expected output]
+    const operandCases = [
+      ['Identifier', 'if (a) {}', 'if (a.length > 0) {}'],
+      ['ArrayExpression', 'if ([...a]) {}', 'if ([...a].length > 0) {}'],
+      [
+        'ObjectExpression',
+        'if ({ ...o }) {}',
+        'if (Object.keys({ ...o }).length > 0) {}',
+      ],
+      [
+        'NewExpression',
+        'if (new Array<string>()) {}',
+        'if (new Array<string>().length > 0) {}',
+      ],
+      [
+        'NewExpression (no arguments)',
+        'if (new Set) {}',
+        'if ((new Set).size > 0) {}',
+      ],
+      [
+        'ThisExpression',
+        'function f(this: string[]) { if (this) {} }',
+        'function f(this: string[]) { if (this.length > 0) {} }',
+      ],
+      ['MemberExpression', 'if (s.items) {}', 'if (s.items.length > 0) {}'],
+      ['CallExpression', 'if (h.get()) {}', 'if (h.get().length > 0) {}'],
+      [
+        'ChainExpression',
+        'if (h?.get()) {}',
+        'if ((h?.get()?.length ?? 0) > 0) {}',
+      ],
+      [
+        'TaggedTemplateExpression',
+        'if (tag`x`) {}',
+        'if (tag`x`.length > 0) {}',
+      ],
+      ['TSNonNullExpression', 'if (m!) {}', 'if (m!.length > 0) {}'],
+      [
+        'TSTypeAssertion',
+        'if (<string[]>u) {}',
+        'if ((<string[]>u).length > 0) {}',
+      ],
+      [
+        'AwaitExpression',
+        'async function f() { if (await load()) {} }',
+        'async function f() { if ((await load()).length > 0) {} }',
+      ],
+      [
+        'TSAsExpression',
+        'if (u as string[]) {}',
+        'if ((u as string[]).length > 0) {}',
+      ],
+      [
+        'TSSatisfiesExpression',
+        'if (u satisfies unknown as string[]) {}',
+        'if ((u satisfies unknown as string[]).length > 0) {}',
+      ],
+      [
+        'LogicalExpression',
+        'if (c && (a ?? b)) {}',
+        'if (c && ((a ?? b).length > 0)) {}',
+      ],
+      [
+        'ConditionalExpression',
+        'if (c ? a : b) {}',
+        'if ((c ? a : b).length > 0) {}',
+      ],
+      [
+        'YieldExpression',
+        'function* g(): Generator<number, void, string[]> { if (yield 1) {} }',
+        'function* g(): Generator<number, void, string[]> { if ((yield 1).length > 0) {} }',
+      ],
+      [
+        'AssignmentExpression',
+        'let x = a; if (x = b) {}',
+        'let x = a; if ((x = b).length > 0) {}',
+      ],
+      ['SequenceExpression', 'if ((c, a)) {}', 'if (((c, a).length > 0)) {}'],
+      // Object.keys() takes its operand as an argument
+      [
+        'ConditionalExpression (object)',
+        'if (c ? o : o) {}',
+        'if (Object.keys(c ? o : o).length > 0) {}',
+      ],
+      [
+        'SequenceExpression (object)',
+        'if ((c, o)) {}',
+        'if ((Object.keys((c, o)).length > 0)) {}',
+      ],
+    ];
+
+    it.each(operandCases)('%s', async (type, code, output) => {
+      const result = await invalid({ code: prelude + code, errors: 1 });
+      expect(result.output).toBe(prelude + output);
+    });
+
+    // The remaining expression types never evaluate to a collection
+    const nonCollectionCases = [
+      ['UpdateExpression', 'if (i++) {}'],
+      ['UnaryExpression', 'if (typeof a) {}'],
+      ['BinaryExpression', 'if (a + b) {}'],
+      ['ImportExpression', "if (import('./module')) {}"],
+      ['MetaProperty', 'if (import.meta) {}'],
+      ['TemplateLiteral', 'if (`${a}`) {}'],
+      ['ArrowFunctionExpression', 'if (() => a) {}'],
+      ['ClassExpression', 'if (class {}) {}'],
+    ];
+
+    it.each(nonCollectionCases)('%s', async (type, code) => {
+      await valid(prelude + code);
+    });
+
+    // Negated checks replace the `!`, so they must fit where it stood
+    const contextCases = [
+      [
+        'negated conditional',
+        'if (!(c ? a : b)) {}',
+        'if ((c ? a : b).length === 0) {}',
+      ],
+      ['negated non-null', 'if (!m!) {}', 'if (m!.length === 0) {}'],
+      [
+        'negated operand of arithmetic',
+        'const n = 1 + !(u as string[]);',
+        'const n = 1 + ((u as string[]).length === 0);',
+      ],
+      [
+        'negated operand of &&',
+        'const y = c && !(c ? a : b);',
+        'const y = c && (c ? a : b).length === 0;',
+      ],
+      [
+        'conditional test',
+        'const k = (c, a) ? 1 : 0;',
+        'const k = ((c, a).length > 0) ? 1 : 0;',
+      ],
+    ];
+
+    it.each(contextCases)('%s', async (name, code, output) => {
+      const result = await invalid({ code: prelude + code, errors: 1 });
+      expect(result.output).toBe(prelude + output);
+    });
+  });
+
+  describe('TypeScript Without strictNullChecks', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'loose-type-checker',
+      rule,
+      configs: looseTypedConfig,
+    });
+
+    it('guards against null in fixes, since types drop | undefined', async () => {
       const result = await invalid({
-        code: 'if ({ /*empty*/ }) { bar() }',
+        code: 'function f(list: string[] | undefined, user?: { name: string }) { if (list) {} if (!user) {} }',
+        errors: [{ messageId: 'arrayTruthy' }, { messageId: 'objectTruthy' }],
+      });
+      expect(result.output).toBe(
+        'function f(list: string[] | undefined, user?: { name: string }) { if (list != null && list.length > 0) {} if (user == null || Object.keys(user).length === 0) {} }'
+      );
+    });
+
+    it('only suggests checks on expressions it would evaluate twice', async () => {
+      const code =
+        'declare function load(): string[]; if (load()) {} const t = `${load() && 1}`;';
+      const result = await invalid({
+        code,
+        errors: [
+          { messageId: 'arrayTruthy' },
+          { messageId: 'collectionRendered' },
+        ],
+      });
+      expect(result.output).toBe(code);
+    });
+
+    it('still fixes literals and tracked values', async () => {
+      const result = await invalid({
+        code: 'const items = [1]; if (items) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe('const items = [1]; if (items.length > 0) {}');
+      await valid('declare const count: number; if (count) {}');
+    });
+  });
+
+  describe('TypeScript Parser Without Type Information', () => {
+    const { invalid } = createRuleTester({
+      name: 'typescript-untyped',
+      rule,
+      configs: { languageOptions: { parser: tsParser } },
+    });
+
+    it('falls back to AST heuristics when no program is available', async () => {
+      await invalid({
+        code: 'const list: string[] = []; if (items) {}',
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('treats functions annotated as boolean as boolean returns', async () => {
+      await invalid({
+        code: 'function check(): boolean { return []; }',
+        errors: [
+          {
+            messageId: 'collectionAsBooleanReturn',
+            data: { name: 'check', suggestion: '[].length > 0' },
+          },
+        ],
+      });
+      await invalid({
+        code: 'const guard = (x: unknown): x is string[] => ({});',
+        errors: [{ messageId: 'collectionAsBooleanReturn' }],
+      });
+    });
+  });
+
+  describe('Imported Constants', () => {
+    const { valid, invalid } = createRuleTester({
+      name: 'follow-imports',
+      rule,
+      configs: {
+        languageOptions: { ecmaVersion: 2024, sourceType: 'module' },
+      },
+    });
+    const filename = fileURLToPath(
+      new URL('./fixtures/modules/consumer.js', import.meta.url)
+    );
+    const options = [{ followImports: true }];
+
+    it('reports exported collection constants from relative imports', async () => {
+      const result = await invalid({
+        code: "import { ROLES } from './constants.js';\nif (ROLES) {}",
+        filename,
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      expect(result.output).toBe(
+        "import { ROLES } from './constants.js';\nif (ROLES.length > 0) {}"
+      );
+
+      await invalid({
+        code: "import { CACHE as cache } from './constants';\nif (!cache) {}",
+        filename,
+        options,
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      await invalid({
+        code: "import { DEFAULTS } from './constants.js';\nif (DEFAULTS) {}",
+        filename,
+        options,
         errors: [{ messageId: 'objectTruthy' }],
       });
-      expect(result.output).toContain('Object.keys({ /*empty*/ }).length > 0');
+      await invalid({
+        code: "import seen from './constants.js';\nif (seen) {}",
+        filename,
+        options,
+        errors: [{ messageId: 'sizedCollectionTruthy' }],
+      });
+      await invalid({
+        code: "import { TAGS } from './shared';\nif (TAGS) {}",
+        filename,
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('reports members of namespace imports', async () => {
+      await invalid({
+        code: "import * as constants from './constants.js';\nif (constants.ROLES) {}",
+        filename,
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+      await valid({
+        code: "import * as constants from './constants.js';\nif (constants) {}",
+        filename,
+        options,
+      });
+    });
+
+    it('is off by default', async () => {
+      await valid({
+        code: "import { ROLES, CACHE } from './constants.js';\nif (ROLES || CACHE) {}",
+        filename,
+      });
+    });
+
+    it('ignores exports that are not constant collections', async () => {
+      await valid({
+        code: "import { limit, selected, current } from './constants.js';\nif (limit && selected && current) {}",
+        filename,
+        options,
+      });
+    });
+
+    it('ignores modules it cannot resolve', async () => {
+      await valid({
+        code: "import { ROLES } from './missing.js';\nif (ROLES) {}",
+        filename,
+        options,
+      });
+      await valid({
+        code: "import { ROLES } from 'constants';\nif (ROLES) {}",
+        filename,
+        options,
+      });
+    });
+
+    it('resolves relative filenames from the working directory', async () => {
+      await invalid({
+        code: "import { ROLES } from './constants.js';\nif (ROLES) {}",
+        filename: 'tests/fixtures/modules/consumer.js',
+        options,
+        errors: [{ messageId: 'arrayTruthy' }],
+      });
+    });
+
+    it('ignores TypeScript import-equals declarations', async () => {
+      const { valid: validTS } = createRuleTester({
+        name: 'follow-imports-ts',
+        rule,
+        configs: { languageOptions: { parser: tsParser } },
+      });
+      await validTS({
+        code: "import constants = require('./constants');\nif (constants) {}",
+        filename: filename.replace(/\.js$/, '.ts'),
+        options,
+      });
     });
   });
 });
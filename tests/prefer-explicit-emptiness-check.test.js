@@ -0,0 +1,243 @@
+/**
+ * Test suite for the prefer-explicit-emptiness-check ESLint rule
+ */
+
+import { describe, it, expect } from 'vitest';
+import { fileURLToPath } from 'node:url';
+import { createRuleTester } from 'eslint-vitest-rule-tester';
+import tsParser from '@typescript-eslint/parser';
+import rule from '../lib/rules/prefer-explicit-emptiness-check.js';
+
+// Shim for expect.soft compatibility
+if (!('soft' in expect)) {
+  expect.soft = expect;
+}
+
+const baseConfig = {
+  languageOptions: {
+    ecmaVersion: 2024,
+    sourceType: 'module',
+  },
+};
+
+describe('prefer-explicit-emptiness-check ESLint Rule', () => {
+  const { valid, invalid } = createRuleTester({
+    name: 'prefer-explicit-emptiness-check',
+    rule,
+    configs: baseConfig,
+  });
+
+  async function expectFix(code, output, options) {
+    const result = await invalid({
+      code,
+      options: options && [options],
+      errors: [{ messageId: 'preferEmptinessCheck' }],
+    });
+    expect(result.output).toBe(output);
+  }
+
+  describe('greater-than style (default)', () => {
+    it('normalizes non-empty checks to > 0', async () => {
+      await expectFix(
+        'const items = []; if (items.length !== 0) use()',
+        'const items = []; if (items.length > 0) use()'
+      );
+      await expectFix(
+        'const items = []; const ok = !!items.length',
+        'const items = []; const ok = items.length > 0'
+      );
+      await expectFix(
+        'const items = []; if (items.length) use()',
+        'const items = []; if (items.length > 0) use()'
+      );
+      await expectFix(
+        'const seen = new Set(); if (0 < seen.size) use()',
+        'const seen = new Set(); if (seen.size > 0) use()'
+      );
+      await expectFix(
+        'if (Object.keys(config).length >= 1) use()',
+        'if (Object.keys(config).length > 0) use()'
+      );
+    });
+
+    it('normalizes empty checks to === 0', async () => {
+      await expectFix(
+        'const items = []; if (!items.length) init()',
+        'const items = []; if (items.length === 0) init()'
+      );
+      await expectFix(
+        'const items = []; if (items.length < 1) init()',
+        'const items = []; if (items.length === 0) init()'
+      );
+      await expectFix(
+        'if (Object.keys(config).length == 0) init()',
+        'if (Object.keys(config).length === 0) init()'
+      );
+    });
+
+    it('parenthesizes comparisons that replace tighter-binding checks', async () => {
+      await expectFix(
+        'const items = []; const count = !items.length + offset',
+        'const items = []; const count = (items.length === 0) + offset'
+      );
+    });
+
+    it('accepts the configured form', async () => {
+      await valid('const items = []; if (items.length > 0) use()');
+      await valid('const items = []; if (items.length === 0) init()');
+      await valid('if (Object.keys(config).length > 0) use()');
+    });
+  });
+
+  describe('not-equal style', () => {
+    it('normalizes non-empty checks to !== 0', async () => {
+      const options = { style: 'not-equal' };
+      await expectFix(
+        'const items = []; if (items.length > 0) use()',
+        'const items = []; if (items.length !== 0) use()',
+        options
+      );
+      await expectFix(
+        'const items = []; if (items.length != 0) use()',
+        'const items = []; if (items.length !== 0) use()',
+        options
+      );
+      await valid({
+        code: 'const items = []; if (items.length === 0) init()',
+        options: [options],
+      });
+    });
+  });
+
+  describe('truthiness style', () => {
+    const options = { style: 'truthiness' };
+
+    it('uses the bare size in tests and !! elsewhere', async () => {
+      await expectFix(
+        'const items = []; if (items.length > 0) use()',
+        'const items = []; if (items.length) use()',
+        options
+      );
+      await expectFix(
+        'const items = []; if (!!items.length && ready) use()',
+        'const items = []; if (items.length && ready) use()',
+        options
+      );
+      await expectFix(
+        'const items = []; const ok = items.length !== 0',
+        'const items = []; const ok = !!items.length',
+        options
+      );
+      await expectFix(
+        'const items = []; if (items.length === 0) init()',
+        'const items = []; if (!items.length) init()',
+        options
+      );
+    });
+
+    it('accepts truthiness checks', async () => {
+      await valid({
+        code: 'const items = []; if (items.length) use(); if (!items.length) init()',
+        options: [options],
+      });
+      await valid({
+        code: 'const items = []; const ok = !!items.length',
+        options: [options],
+      });
+    });
+  });
+
+  describe('objectHelper', () => {
+    const options = { objectHelper: 'isEmpty' };
+
+    it('replaces Object.keys() checks with the helper', async () => {
+      await expectFix(
+        "import { isEmpty } from 'lodash'; if (Object.keys(o).length > 0) use()",
+        "import { isEmpty } from 'lodash'; if (!isEmpty(o)) use()",
+        options
+      );
+      await expectFix(
+        "import { isEmpty } from 'lodash'; if (!Object.keys(o).length) init()",
+        "import { isEmpty } from 'lodash'; if (isEmpty(o)) init()",
+        options
+      );
+    });
+
+    it('resolves member helpers through their root object', async () => {
+      await expectFix(
+        "import _ from 'lodash'; if (Object.keys(o).length === 0) init()",
+        "import _ from 'lodash'; if (_.isEmpty(o)) init()",
+        { objectHelper: '_.isEmpty' }
+      );
+    });
+
+    it('reports without a fix when the helper is not in scope', async () => {
+      const result = await invalid({
+        code: 'if (Object.keys(o).length > 0) use()',
+        options: [options],
+        errors: [
+          {
+            messageId: 'preferEmptinessCheck',
+            data: { expected: '!isEmpty(o)' },
+          },
+        ],
+      });
+      expect(result.output).toBe('if (Object.keys(o).length > 0) use()');
+    });
+
+    it('leaves array and Set checks to the style option', async () => {
+      await valid({
+        code: 'const items = []; if (items.length > 0) use()',
+        options: [options],
+      });
+    });
+  });
+
+  describe('Unknown Values', () => {
+    it('ignores sizes of values that are not known collections', async () => {
+      await valid('if (name.length !== 0) use()');
+      await valid('if (!text.length) init()');
+      await valid('if (items.length) use()');
+      await valid('const label = "abc"; if (label.length != 0) use()');
+    });
+
+    it('ignores comparisons that are not emptiness checks', async () => {
+      await valid('const items = []; if (items.length > 2) use()');
+      await valid('const items = []; const n = items.length');
+      await valid('const items = []; if (items.length === limit) use()');
+    });
+  });
+
+  describe('TypeScript Type Information', () => {
+    const typed = createRuleTester({
+      name: 'prefer-explicit-emptiness-check-typed',
+      rule,
+      configs: {
+        languageOptions: {
+          parser: tsParser,
+          parserOptions: {
+            project: './tsconfig.json',
+            tsconfigRootDir: fileURLToPath(
+              new URL('./fixtures', import.meta.url)
+            ),
+          },
+        },
+      },
+    });
+
+    it('recognizes collections from their declared types', async () => {
+      const result = await typed.invalid({
+        filename: 'file.ts',
+        code: 'declare const ids: number[]; if (ids.length !== 0) use();',
+        errors: [{ messageId: 'preferEmptinessCheck' }],
+      });
+      expect(result.output).toBe(
+        'declare const ids: number[]; if (ids.length > 0) use();'
+      );
+      await typed.valid({
+        filename: 'file.ts',
+        code: 'declare const name: string; if (name.length !== 0) use();',
+      });
+    });
+  });
+});